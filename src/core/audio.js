@@ -0,0 +1,331 @@
+/**
+ * audio.js — Procedural sound engine (Web Audio). Every sound is synthesized
+ * from oscillators, filtered noise and envelopes; nothing is downloaded.
+ *
+ * Techniques reach it through ctx.audio (main.js), which tags each sound with
+ * the technique's channel and the slot's stereo position:
+ *   play(name, params)  — one-shot from SOUNDS (crack, whoosh)
+ *   loop(name, params)  — sustained voice from LOOPS (charge, drone, shimmer);
+ *                         returns { set(params), stop() }
+ *
+ * Every technique has its own channel gain, so the panel's per-technique
+ * toggles also silence voices that are already running. Browsers only start
+ * audio after a user interaction, so the context is resumed on the first
+ * click / key press; it is suspended while photo mode is active.
+ */
+
+import { on } from './events.js';
+
+const FADE_OUT   = 0.08;   // s — release time constant of looped voices
+const NOISE_SECS = 2;
+
+const options = { volume: 0.6, muted: false, channels: {} };   // channels: name → enabled
+
+let ac     = null;   // AudioContext, created on first use
+let master = null;
+let noise  = null;   // shared white-noise buffer
+let photoActive = false;
+const channels = new Map();   // channel name → GainNode
+
+// Silent stand-in when Web Audio is unavailable
+const NO_LOOP = { set() {}, stop() {} };
+
+function isSupported() {
+    return typeof AudioContext !== 'undefined';
+}
+
+function ensureContext() {
+    if (ac || !isSupported()) return ac;
+
+    ac     = new AudioContext();
+    master = ac.createGain();
+
+    // Soft limiter so stacked impacts don't clip
+    const limiter = ac.createDynamicsCompressor();
+    limiter.threshold.value = -10;
+    limiter.ratio.value     = 8;
+    master.connect(limiter).connect(ac.destination);
+
+    noise = ac.createBuffer(1, ac.sampleRate * NOISE_SECS, ac.sampleRate);
+    const data = noise.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+    applyGains();
+    return ac;
+}
+
+function unlock() {
+    if (!ensureContext()) return;
+    if (ac.state === 'suspended' && !photoActive) ac.resume();
+    window.removeEventListener('pointerdown', unlock);
+    window.removeEventListener('keydown', unlock);
+}
+window.addEventListener('pointerdown', unlock);
+window.addEventListener('keydown', unlock);
+
+on('photo', ({ active }) => {
+    photoActive = active;
+    if (!ac) return;
+    if (active) ac.suspend();
+    else        ac.resume();
+});
+
+// ── Routing ──
+
+function getChannel(name) {
+    if (!channels.has(name)) {
+        const gain = ac.createGain();
+        gain.gain.value = options.channels[name] === false ? 0 : 1;
+        gain.connect(master);
+        channels.set(name, gain);
+    }
+    return channels.get(name);
+}
+
+function applyGains() {
+    if (!ac) return;
+    const now = ac.currentTime;
+    master.gain.setTargetAtTime(options.muted ? 0 : options.volume, now, 0.02);
+    for (const [name, gain] of channels) {
+        gain.gain.setTargetAtTime(options.channels[name] === false ? 0 : 1, now, 0.02);
+    }
+}
+
+/**
+ * Voice output: gain → stereo pan → channel. startAll() disconnects it once
+ * the voice's first source has ended.
+ */
+function createOutput({ channel = 'misc', pan = 0 }) {
+    const gain   = ac.createGain();
+    const panner = ac.createStereoPanner();
+    panner.pan.value = Math.max(-1, Math.min(1, pan));
+    gain.connect(panner).connect(getChannel(channel));
+    return gain;
+}
+
+function noiseSource() {
+    const src = ac.createBufferSource();
+    src.buffer = noise;
+    src.loop   = true;
+    src.loopStart = Math.random() * (NOISE_SECS - 0.5);   // decorrelate overlapping bursts
+    return src;
+}
+
+function oscillator(type, frequency) {
+    const osc = ac.createOscillator();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    return osc;
+}
+
+function filter(type, frequency, q = 1) {
+    const node = ac.createBiquadFilter();
+    node.type = type;
+    node.frequency.value = frequency;
+    node.Q.value = q;
+    return node;
+}
+
+function envelope(gain, t, peak, attack, decay) {
+    gain.gain.setValueAtTime(0.0001, t);
+    gain.gain.exponentialRampToValueAtTime(peak, t + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + attack + decay);
+}
+
+function startAll(sources, t, until, out) {
+    for (const src of sources) {
+        src.start(t);
+        if (until !== null) src.stop(until);
+    }
+    sources[0].onended = () => out.disconnect();
+}
+
+// ── One-shots ──
+
+export const SOUNDS = {
+    /** Black Flash impact: noise snap + pitch-dropping sub thump (bigger when perfect). */
+    crack(out, { perfect = false }) {
+        const t     = ac.currentTime;
+        const decay = perfect ? 0.6 : 0.3;
+
+        const snap = noiseSource();
+        const snapGain = ac.createGain();
+        envelope(snapGain, t, perfect ? 1.0 : 0.7, 0.003, decay);
+        snap.connect(filter('highpass', 1200)).connect(snapGain).connect(out);
+
+        const thump = oscillator('sine', 140);
+        thump.frequency.setValueAtTime(perfect ? 180 : 140, t);
+        thump.frequency.exponentialRampToValueAtTime(32, t + 0.45);
+        const thumpGain = ac.createGain();
+        envelope(thumpGain, t, perfect ? 1.2 : 0.8, 0.005, decay + 0.2);
+        thump.connect(thumpGain).connect(out);
+
+        const sources = [thump, snap];
+        if (perfect) {
+            // Metallic ring on top
+            const ring = oscillator('triangle', 1760);
+            const ringGain = ac.createGain();
+            envelope(ringGain, t, 0.15, 0.002, 0.9);
+            ring.connect(ringGain).connect(out);
+            sources.push(ring);
+        }
+        startAll(sources, t, t + decay + 0.8, out);
+    },
+
+    /** Cleave slice: band-passed noise sweeping up and back down. */
+    whoosh(out) {
+        const t    = ac.currentTime;
+        const src  = noiseSource();
+        const band = filter('bandpass', 300, 2.5);
+        band.frequency.setValueAtTime(300, t);
+        band.frequency.exponentialRampToValueAtTime(3200, t + 0.12);
+        band.frequency.exponentialRampToValueAtTime(500, t + 0.35);
+
+        const gain = ac.createGain();
+        envelope(gain, t, 0.6, 0.08, 0.28);
+        src.connect(band).connect(gain).connect(out);
+        startAll([src], t, t + 0.4, out);
+    },
+};
+
+// ── Loops ──
+
+export const LOOPS = {
+    /**
+     * Black Flash charge hum: detuned saws rising with `progress` (0–1), jumping
+     * a fifth and opening up inside the perfect window.
+     */
+    charge(out) {
+        const t    = ac.currentTime;
+        const base = 55;
+        const a    = oscillator('sawtooth', base);
+        const b    = oscillator('sawtooth', base * 1.006);
+        const sub  = oscillator('sine', base / 2);
+        const lp   = filter('lowpass', 400, 6);
+
+        a.connect(lp);
+        b.connect(lp);
+        sub.connect(out);
+        lp.connect(out);
+        out.gain.setValueAtTime(0.0001, t);
+        out.gain.exponentialRampToValueAtTime(0.25, t + 0.1);
+        startAll([a, b, sub], t, null, out);
+
+        return {
+            set({ progress = 0, perfect = false }) {
+                const now = ac.currentTime;
+                const f   = base * (1 + progress) * (perfect ? 1.5 : 1);
+                a.frequency.setTargetAtTime(f, now, 0.03);
+                b.frequency.setTargetAtTime(f * 1.006, now, 0.03);
+                sub.frequency.setTargetAtTime(f / 2, now, 0.03);
+                lp.frequency.setTargetAtTime(400 + progress * 1800 + (perfect ? 1500 : 0), now, 0.05);
+                out.gain.setTargetAtTime(0.2 + progress * 0.25, now, 0.05);
+            },
+            sources: [a, b, sub],
+        };
+    },
+
+    /** Infinite Void: low fifth drone with slowly breathing filtered noise. */
+    drone(out) {
+        const t    = ac.currentTime;
+        const low  = oscillator('sine', 41.2);
+        const high = oscillator('sine', 61.7);
+        const air  = noiseSource();
+        const lp   = filter('lowpass', 180, 3);
+        const lfo  = oscillator('sine', 0.08);
+        const lfoGain = ac.createGain();
+        lfoGain.gain.value = 120;
+        lfo.connect(lfoGain).connect(lp.frequency);
+
+        const airGain = ac.createGain();
+        airGain.gain.value = 0.25;
+        low.connect(out);
+        high.connect(out);
+        air.connect(lp).connect(airGain).connect(out);
+        out.gain.setValueAtTime(0.0001, t);
+        out.gain.exponentialRampToValueAtTime(0.35, t + 1.5);
+        startAll([low, high, air, lfo], t, null, out);
+
+        return { set() {}, sources: [low, high, air, lfo], release: 0.4 };
+    },
+
+    /** Simple Domain: high bell partials with tremolo; `level` (0–1) follows the barrier. */
+    shimmer(out) {
+        const t        = ac.currentTime;
+        const tremolo  = ac.createGain();
+        const lfo      = oscillator('sine', 6);
+        const lfoGain  = ac.createGain();
+        lfoGain.gain.value = 0.3;
+        tremolo.gain.value = 0.7;
+        lfo.connect(lfoGain).connect(tremolo.gain);
+        tremolo.connect(out);
+
+        const partials = [1046.5, 1318.5, 1568, 2093].map((f, k) => {
+            const osc  = oscillator('sine', f * (1 + (k - 1.5) * 0.002));
+            const gain = ac.createGain();
+            gain.gain.value = 0.25 / (k + 1);
+            osc.connect(gain).connect(tremolo);
+            return osc;
+        });
+        out.gain.setValueAtTime(0.0001, t);
+        startAll([...partials, lfo], t, null, out);
+
+        return {
+            set({ level = 0 }) {
+                out.gain.setTargetAtTime(Math.max(0.0001, level * 0.18), ac.currentTime, 0.05);
+            },
+            sources: [...partials, lfo],
+            release: 0.25,   // bell tail rather than a cut
+        };
+    },
+};
+
+// ── Public API ──
+
+/**
+ * Play a one-shot from SOUNDS.
+ * @param {string} name
+ * @param {{ channel?: string, pan?: number } & object} [params]
+ */
+function play(name, params = {}) {
+    if (!SOUNDS[name] || !ensureContext()) return;
+    SOUNDS[name](createOutput(params), params);
+}
+
+/**
+ * Start a voice from LOOPS; it runs until stop() (which fades it out).
+ * @returns {{ set: (params: object) => void, stop: () => void }}
+ */
+function loop(name, params = {}) {
+    if (!LOOPS[name] || !ensureContext()) return NO_LOOP;
+
+    const out   = createOutput(params);
+    const voice = LOOPS[name](out, params);
+    let stopped = false;
+
+    return {
+        set(next) {
+            if (!stopped) voice.set(next);
+        },
+        stop() {
+            if (stopped) return;
+            stopped = true;
+            const now = ac.currentTime;
+            const tc  = voice.release || FADE_OUT;
+            out.gain.cancelScheduledValues(now);
+            out.gain.setTargetAtTime(0, now, tc);
+            for (const src of voice.sources) src.stop(now + tc * 6);
+        },
+    };
+}
+
+/**
+ * Master volume / mute and per-technique channel toggles (settings panel).
+ * @param {{ volume?: number, muted?: boolean, channels?: Object<string, boolean> }} next
+ */
+function configure(next) {
+    Object.assign(options, next);
+    applyGains();
+}
+
+export { isSupported, play, loop, configure };
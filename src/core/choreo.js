@@ -0,0 +1,136 @@
+/**
+ * choreo.js — Keyframed camera choreography.
+ *
+ * Techniques declare camera moves as tracks in `config.camera` (`enter` plays
+ * when the technique starts, others on their own events, e.g. Black Flash's
+ * `impact`). A track is `{ keys: [...] }`; each keyframe gives the pose `t` ms
+ * after the track starts, as offsets from the resting camera:
+ *
+ *   orbit   — degrees around the vertical axis through the scene center
+ *   crane   — camera height (world units)
+ *   roll    — degrees around the view axis
+ *   fov     — degrees added to the field of view (negative punches in)
+ *   dolly   — camera distance offset (negative moves closer)
+ *   lookAt  — [x, y, z] the camera aims at, relative to the slot's anchor
+ *   ease    — easing into this keyframe (EASINGS name, default 'inOutCubic')
+ *
+ * Channels a keyframe leaves out keep the previous keyframe's value (rest, for
+ * the first one). Playback starts from the current pose (a keyframe at t = 0 is
+ * a cut), so a new track blends out of the running one. After the last
+ * keyframe the pose holds until the owner releases it, which eases back to
+ * rest.
+ *
+ * The resulting pose is handed to renderer.setCameraPose() every frame, on top
+ * of the cameraDolly() spring. Timing uses core/clock.js, so photo mode freezes
+ * a move mid-flight.
+ */
+
+import * as clock from './clock.js';
+import { setCameraPose } from './renderer.js';
+
+const RETURN_MS = 1200;   // ease back to rest after release()
+
+export const EASINGS = {
+    linear:     (t) => t,
+    inQuad:     (t) => t * t,
+    outQuad:    (t) => t * (2 - t),
+    inOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    outExpo:    (t) => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    outBack:    (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+};
+
+const MOTION = ['orbit', 'crane', 'roll', 'fov', 'dolly'];   // scaled by intensity
+const REST   = { orbit: 0, crane: 0, roll: 0, fov: 0, dolly: 0, lookX: 0, lookY: 0, lookZ: 0 };
+const CENTER = { x: 0, y: 0, z: 0 };
+
+let pose    = { ...REST };
+let current = null;   // { keys, start, owner, returning } — keys resolved to full poses
+
+/**
+ * Turn authored keyframes into full poses, starting from the current pose.
+ */
+function resolve(track, scale, origin) {
+    const keys = [{ t: 0, ease: EASINGS.linear, pose: { ...pose } }];
+    let prev   = REST;
+
+    for (const key of track.keys) {
+        const next = { ...prev };
+        for (const channel of MOTION) {
+            if (key[channel] !== undefined) next[channel] = key[channel] * scale;
+        }
+        if (key.lookAt) {
+            next.lookX = origin.x + key.lookAt[0];
+            next.lookY = origin.y + key.lookAt[1];
+            next.lookZ = origin.z + key.lookAt[2];
+        }
+        const ease = EASINGS[key.ease] || EASINGS.inOutCubic;
+        prev = next;
+        if (key.t <= 0) keys[0] = { t: 0, ease, pose: next };   // cut
+        else            keys.push({ t: key.t, ease, pose: next });
+    }
+    return keys;
+}
+
+function sample(keys, elapsed) {
+    let k = 1;
+    while (k < keys.length && keys[k].t <= elapsed) k++;
+    if (k >= keys.length) return keys[keys.length - 1].pose;
+
+    const a = keys[k - 1];
+    const b = keys[k];
+    const u = b.ease((elapsed - a.t) / (b.t - a.t));
+    const out = {};
+    for (const channel in REST) out[channel] = a.pose[channel] + (b.pose[channel] - a.pose[channel]) * u;
+    return out;
+}
+
+// ── Public API ──
+
+/**
+ * Start a track (ignored if missing), replacing whatever is playing.
+ * @param {{ keys: object[] } | undefined} track
+ * @param {{ scale?: number, origin?: {x:number,y:number,z:number}, owner?: string }} [opts]
+ */
+function play(track, { scale = 1, origin = CENTER, owner = null } = {}) {
+    if (!track || !track.keys || track.keys.length === 0) return;
+    current = { keys: resolve(track, scale, origin), start: clock.now(), owner, returning: false };
+}
+
+/**
+ * Ease back to rest — only if `owner` started the running track (any owner
+ * when omitted), so one hand's technique doesn't cancel the other's move.
+ */
+function release(owner) {
+    if (!current || current.returning) return;
+    if (owner !== undefined && current.owner !== owner) return;
+
+    current = {
+        keys: [
+            { t: 0,         ease: EASINGS.linear,     pose: { ...pose } },
+            { t: RETURN_MS, ease: EASINGS.inOutCubic, pose: { ...REST } },
+        ],
+        start:     clock.now(),
+        owner:     null,
+        returning: true,
+    };
+}
+
+function isPlaying() {
+    return current !== null;
+}
+
+/**
+ * Per-frame: advance the running track and hand the pose to the renderer.
+ */
+function update() {
+    if (current) {
+        const elapsed = clock.now() - current.start;
+        pose = sample(current.keys, elapsed);
+
+        // A finished return to rest has nothing left to hold
+        if (current.returning && elapsed >= current.keys[current.keys.length - 1].t) current = null;
+    }
+    setCameraPose(pose);
+}
+
+export { play, release, isPlaying, update };
@@ -0,0 +1,238 @@
+/**
+ * clips.js — WebM clip capture of the visualizer.
+ *
+ * main.js calls captureFrame() right after each render. While a clip is
+ * recording (or auto-clip is armed) the composited WebGL canvas is copied into
+ * a 2D canvas — optionally with the webcam preview picture-in-picture and the
+ * technique name on top — and that canvas is streamed into MediaRecorder, so
+ * clips keep the app's own frame pacing.
+ *
+ * Auto-clip: WebM can't be cut out of the middle of a running stream, so two
+ * staggered recorders restart every 2 × PRE_ROLL and one of them always holds
+ * at least PRE_ROLL of history. A Black Flash impact claims the older one, lets
+ * it run POST_ROLL longer and saves it.
+ */
+
+import { renderer } from './renderer.js';
+import { on } from './events.js';
+import { downloadBlob } from './download.js';
+
+const FPS          = 60;
+const MAX_WIDTH    = 1920;     // clips are downscaled beyond this
+const BITRATE      = 8e6;
+const PRE_ROLL     = 3000;     // ms — auto-clip history kept before an impact
+const POST_ROLL    = 1500;     // ms — recorded after the (last) impact
+const MAX_CLIP     = 15000;    // ms — later impacts stop extending a pending auto-clip
+const PIP_WIDTH    = 0.25;     // webcam preview width, fraction of the clip width
+const PIP_MARGIN   = 16;
+const MIME_TYPES   = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const options = { pip: true, overlay: true, autoClip: false };
+
+let canvas = null;   // composite canvas, created on first use
+let ctx2d  = null;
+let stream = null;
+
+let manual = null;   // REC button recording, or null
+const ring = [];     // auto-clip recorders: { recorder, chunks, start, saveAt }
+
+function isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' &&
+        'captureStream' in HTMLCanvasElement.prototype;
+}
+
+function ensureStream() {
+    if (!stream) {
+        canvas = document.createElement('canvas');
+        ctx2d  = canvas.getContext('2d');
+        drawComposite();   // a sized first frame before the stream starts
+        stream = canvas.captureStream(FPS);
+    }
+    return stream;
+}
+
+// ── Recorders ──
+
+function startRecorder() {
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+    const recorder = new MediaRecorder(ensureStream(), { mimeType, videoBitsPerSecond: BITRATE });
+    const entry    = { recorder, chunks: [], start: performance.now(), saveAt: null };
+
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) entry.chunks.push(e.data);
+    };
+    recorder.start(1000);
+    return entry;
+}
+
+/**
+ * Stop a recorder; with a filename prefix its footage is downloaded.
+ */
+function stopRecorder(entry, prefix = null) {
+    const { recorder } = entry;
+    if (prefix) {
+        recorder.onstop = () => {
+            const blob = new Blob(entry.chunks, { type: recorder.mimeType || 'video/webm' });
+            downloadBlob(blob, `${prefix}-${Date.now()}.webm`);
+        };
+    }
+    if (recorder.state !== 'inactive') recorder.stop();
+}
+
+// ── Manual clips ──
+
+/**
+ * Start recording a clip (REC button).
+ * @returns {boolean} false if the browser can't record the canvas
+ */
+function startClip() {
+    if (manual) return true;
+    if (!isSupported()) {
+        console.warn('[clips] MediaRecorder / canvas capture not supported in this browser');
+        return false;
+    }
+    manual = startRecorder();
+    return true;
+}
+
+/**
+ * Stop the clip and download it as WebM.
+ */
+function stopClip() {
+    if (!manual) return;
+    stopRecorder(manual, 'sat0ru-clip');
+    manual = null;
+}
+
+function isClipRecording() {
+    return manual !== null;
+}
+
+// ── Auto-clip ──
+
+function updateRing(now) {
+    // Arm the second recorder PRE_ROLL after the first so their cycles interleave
+    if (ring.length === 0) ring.push(startRecorder());
+    if (ring.length === 1 && now - ring[0].start >= PRE_ROLL) ring.push(startRecorder());
+
+    ring.forEach((entry, k) => {
+        if (entry.saveAt !== null) {
+            if (now < entry.saveAt) return;
+            stopRecorder(entry, 'sat0ru-blackflash');
+        } else if (now - entry.start >= 2 * PRE_ROLL) {
+            stopRecorder(entry);
+        } else {
+            return;
+        }
+        ring[k] = startRecorder();
+    });
+}
+
+on('blackflash:impact', () => {
+    if (!options.autoClip || ring.length === 0) return;
+    const now = performance.now();
+
+    // Back-to-back impacts extend the pending clip
+    const pending = ring.find((entry) => entry.saveAt !== null);
+    if (pending && now - pending.start < MAX_CLIP) {
+        pending.saveAt = now + POST_ROLL;
+        return;
+    }
+
+    const free = ring.filter((entry) => entry.saveAt === null);
+    if (free.length === 0) return;
+    const oldest = free.reduce((a, b) => (b.start < a.start ? b : a));
+    oldest.saveAt = now + POST_ROLL;
+});
+
+// ── Compositing ──
+
+function drawPip(w, h) {
+    const video     = document.querySelector('.input_video');
+    const landmarks = document.getElementById('output_canvas');
+    const aspect    = video.videoWidth ? video.videoHeight / video.videoWidth : 0.75;
+    const pw = Math.round(w * PIP_WIDTH);
+    const ph = Math.round(pw * aspect);
+    const x  = w - pw - PIP_MARGIN;
+    const y  = h - ph - PIP_MARGIN;
+
+    ctx2d.save();
+    ctx2d.translate(x + pw, y);
+    ctx2d.scale(-1, 1);   // mirrored, like the on-screen preview
+    ctx2d.fillStyle = '#000';
+    ctx2d.fillRect(0, 0, pw, ph);
+    if (video.readyState >= 2) ctx2d.drawImage(video, 0, 0, pw, ph);
+    if (landmarks.width > 0) ctx2d.drawImage(landmarks, 0, 0, pw, ph);
+    ctx2d.restore();
+
+    ctx2d.strokeStyle = 'rgba(255,255,255,0.2)';
+    ctx2d.lineWidth   = 2;
+    ctx2d.strokeRect(x, y, pw, ph);
+}
+
+function drawOverlay(w) {
+    const nameEl = document.getElementById('technique-name');
+    const text   = nameEl.innerText;
+    if (!text) return;
+
+    const style = getComputedStyle(nameEl);
+    const rect  = nameEl.getBoundingClientRect();
+    const scale = w / innerWidth;
+
+    ctx2d.save();
+    ctx2d.font          = `${style.fontWeight} ${parseFloat(style.fontSize) * scale}px ${style.fontFamily}`;
+    ctx2d.letterSpacing = `${(parseFloat(style.letterSpacing) || 0) * scale}px`;
+    ctx2d.textAlign     = 'center';
+    ctx2d.textBaseline  = 'middle';
+    ctx2d.fillStyle     = style.color;
+    ctx2d.shadowColor   = style.color;
+    ctx2d.shadowBlur    = 15 * scale;
+    ctx2d.fillText(text, (rect.left + rect.width / 2) * scale, (rect.top + rect.height / 2) * scale);
+    ctx2d.restore();
+}
+
+function drawComposite() {
+    const src   = renderer.domElement;
+    const scale = Math.min(1, MAX_WIDTH / src.width);
+    const w     = Math.round(src.width * scale);
+    const h     = Math.round(src.height * scale);
+    if (canvas.width !== w || canvas.height !== h) {
+        canvas.width  = w;
+        canvas.height = h;
+    }
+
+    ctx2d.fillStyle = '#000';
+    ctx2d.fillRect(0, 0, w, h);
+    ctx2d.drawImage(src, 0, 0, w, h);   // same task as the render, so the buffer is still valid
+    if (options.pip)     drawPip(w, h);
+    if (options.overlay) drawOverlay(w);
+}
+
+/**
+ * Copy the frame just rendered into the clip stream (call right after render()).
+ */
+function captureFrame() {
+    if (options.autoClip) updateRing(performance.now());
+    if (!manual && ring.length === 0) return;
+    drawComposite();
+}
+
+/**
+ * Update clip options; disabling auto-clip discards its rolling footage.
+ * @param {{ pip?: boolean, overlay?: boolean, autoClip?: boolean }} next
+ */
+function configure(next) {
+    Object.assign(options, next);
+    if (options.autoClip && !isSupported()) options.autoClip = false;
+
+    if (!options.autoClip) {
+        for (const entry of ring) stopRecorder(entry, entry.saveAt !== null ? 'sat0ru-blackflash' : null);
+        ring.length = 0;
+    }
+}
+
+export {
+    isSupported, startClip, stopClip, isClipRecording,
+    configure, captureFrame,
+};
@@ -0,0 +1,30 @@
+/**
+ * clock.js — Pausable app clock for technique timing.
+ * Phases, charge timers, combo windows and timed states all read now(), so
+ * pausing it (photo mode) freezes them exactly where they are; on resume they
+ * carry on as if no time had passed.
+ */
+
+let paused   = false;
+let pausedAt = 0;
+let offset   = 0;    // total time spent paused
+
+export function now() {
+    return (paused ? pausedAt : performance.now()) - offset;
+}
+
+export function pause() {
+    if (paused) return;
+    pausedAt = performance.now();
+    paused   = true;
+}
+
+export function resume() {
+    if (!paused) return;
+    offset += performance.now() - pausedAt;
+    paused  = false;
+}
+
+export function isPaused() {
+    return paused;
+}
@@ -0,0 +1,16 @@
+/**
+ * download.js — Save a Blob as a file download.
+ * The object URL is revoked a moment later: revoking it right after click()
+ * can cancel the download in some browsers.
+ */
+
+const REVOKE_DELAY = 1000;   // ms
+
+export function downloadBlob(blob, filename) {
+    const url  = URL.createObjectURL(blob);
+    const a    = document.createElement('a');
+    a.href     = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
@@ -0,0 +1,33 @@
+/**
+ * events.js — Tiny synchronous event bus.
+ * Techniques announce moments (e.g. Black Flash impact) without knowing who listens.
+ *
+ * Events:
+ *   'blackflash:impact'  { perfect: boolean, slot: string }   — slot: 'main' | 'left' | 'right'
+ *   'combo'              { combo }            — a combo sequence completed
+ *   'photo'              { active: boolean }  — photo mode entered / left
+ *   'quality'            governor.getStatus() — adaptive quality stepped down / up
+ */
+
+const listeners = new Map();   // type → Set<fn>
+
+/**
+ * Subscribe to an event type.
+ * @returns {() => void} unsubscribe function
+ */
+export function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+}
+
+export function off(type, fn) {
+    const set = listeners.get(type);
+    if (set) set.delete(fn);
+}
+
+export function emit(type, detail = {}) {
+    const set = listeners.get(type);
+    if (!set) return;
+    for (const fn of [...set]) fn(detail);
+}
@@ -0,0 +1,139 @@
+/**
+ * governor.js — Adaptive quality: watches frame times and steps quality down
+ * (or back up) to hold the target frame rate.
+ *
+ * The interval between frames shows whether the target is missed, whether
+ * the CPU or the GPU is the bottleneck. Vsync caps it, though, so it can't
+ * show headroom: stepping back up is decided by the frame's CPU work instead
+ * (main.js times animate() from its start to after composer.render).
+ *
+ * Each step of LEVELS trades a little more image for speed: bloom resolution
+ * first (cheap to lose), then particle count and render resolution together.
+ * Particle counts are a share of the panel's choice, so the user's setting is
+ * kept and comes back in full once the machine keeps up again.
+ *
+ * Hysteresis: quality drops after the smoothed interval has been over budget
+ * for DOWN_HOLD ms, and only rises after UP_HOLD ms of work well under budget.
+ * A GPU-bound machine can show that headroom without having it, so a rise
+ * that is undone within RELAPSE ms doubles the wait before the next one: it
+ * (or a machine right at the edge) settles instead of flickering.
+ *
+ * Every change emits 'quality' (see getStatus()); the panel shows it and
+ * main.js re-targets static techniques.
+ */
+
+import { setResolution } from './renderer.js';
+import { setParticleScale } from './particles.js';
+import { emit } from './events.js';
+
+export const TARGET_FPS = [30, 60, 120];
+
+/** Quality steps, 0 = full quality. */
+export const LEVELS = [
+    { particles: 1,    pixelScale: 1,    bloomScale: 1 },
+    { particles: 1,    pixelScale: 1,    bloomScale: 0.5 },
+    { particles: 0.75, pixelScale: 0.85, bloomScale: 0.5 },
+    { particles: 0.5,  pixelScale: 0.75, bloomScale: 0.5 },
+    { particles: 0.35, pixelScale: 0.6,  bloomScale: 0.35 },
+    { particles: 0.25, pixelScale: 0.5,  bloomScale: 0.25 },
+];
+
+const SLOW        = 1.15;    // over budget: frame interval > budget × SLOW
+const FAST        = 0.8;     // headroom:    work time < budget × FAST
+const DOWN_HOLD   = 1500;    // ms over budget before stepping down
+const UP_HOLD     = 6000;    // ms with headroom before stepping up
+const MAX_UP_HOLD = 60000;
+const RELAPSE     = 10000;   // ms — a step down this soon after a step up counts as a relapse
+const SMOOTHING   = 0.1;     // moving average weight
+const MAX_FRAME   = 250;     // ms — longer gaps (hidden tab, photo mode, shader compiles) are not measured
+
+const options = { enabled: true, targetFps: 60 };
+
+let level     = 0;
+let interval  = 0;       // smoothed time between frames (ms), 0 = no sample yet
+let work      = 0;       // smoothed work time (ms)
+let lastFrame = null;
+let slowSince = null;
+let fastSince = null;
+let upHold    = UP_HOLD;
+let lastUp    = -Infinity;
+
+function setLevel(next, now) {
+    if (next > level && now - lastUp < RELAPSE) upHold = Math.min(upHold * 2, MAX_UP_HOLD);
+    if (next < level) lastUp = now;
+
+    level     = next;
+    slowSince = null;
+    fastSince = null;
+
+    const { particles, pixelScale, bloomScale } = LEVELS[level];
+    setParticleScale(particles);
+    setResolution({ pixelScale, bloomScale });
+    emit('quality', getStatus());
+}
+
+// ── Public API ──
+
+const smooth = (average, sample) => (average === 0 ? sample : average + (sample - average) * SMOOTHING);
+
+/**
+ * Per-frame: measure the time since the previous frame started, record how
+ * long this one's work took and adjust quality.
+ * @param {number} workTime — ms from the start of the frame to after its render
+ * @param {number} [frameStart] — performance.now() when the frame started
+ */
+function update(workTime, frameStart = performance.now()) {
+    const frameTime = lastFrame === null ? 0 : frameStart - lastFrame;
+    lastFrame = frameStart;
+    if (!options.enabled || frameTime <= 0 || frameTime > MAX_FRAME || workTime > MAX_FRAME) return;
+
+    interval = smooth(interval, frameTime);
+    work     = smooth(work, workTime);
+    const budget = 1000 / options.targetFps;
+    const now    = frameStart;
+
+    if (interval > budget * SLOW && level < LEVELS.length - 1) {
+        fastSince = null;
+        if (slowSince === null) slowSince = now;
+        else if (now - slowSince >= DOWN_HOLD) setLevel(level + 1, now);
+    } else if (interval <= budget * SLOW && work < budget * FAST && level > 0) {
+        slowSince = null;
+        if (fastSince === null) fastSince = now;
+        else if (now - fastSince >= upHold) setLevel(level - 1, now);
+    } else {
+        slowSince = null;
+        fastSince = null;
+    }
+}
+
+/**
+ * Turn the governor on / off (off restores full quality) and pick the target.
+ * @param {{ enabled?: boolean, targetFps?: number }} next
+ */
+function configure(next) {
+    const targetChanged = next.targetFps !== undefined && next.targetFps !== options.targetFps;
+    Object.assign(options, next);
+
+    if (targetChanged) {
+        upHold   = UP_HOLD;
+        interval = 0;
+        work     = 0;
+    }
+    if (!options.enabled && level !== 0) setLevel(0, performance.now());
+}
+
+/**
+ * @returns {{ level: number, degraded: boolean, fps: number, workTime: number, particles: number,
+ *             pixelScale: number, bloomScale: number }} — fps: measured average, workTime: smoothed ms
+ */
+function getStatus() {
+    return {
+        level,
+        degraded: level > 0,
+        fps:      interval > 0 ? Math.round(1000 / interval) : 0,
+        workTime: Math.round(work * 10) / 10,
+        ...LEVELS[level],
+    };
+}
+
+export { update, configure, getStatus };
@@ -0,0 +1,23 @@
+/**
+ * names.js — User-given names (calibration profiles, presets).
+ * They come from text fields and imported files and key persisted stores, so
+ * they are normalised first: whitespace collapsed, control characters dropped,
+ * length capped. `__proto__`, `constructor` and `prototype` are refused.
+ */
+
+const MAX_LENGTH = 40;
+const RESERVED   = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * The normalised form of `name`, or null when nothing usable is left.
+ */
+export function cleanName(name) {
+    if (typeof name !== 'string') return null;
+    const clean = name
+        .replace(/\s+/g, ' ')
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .trim()
+        .slice(0, MAX_LENGTH)
+        .trim();
+    return clean && !RESERVED.includes(clean) ? clean : null;
+}
@@ -1,173 +1,1002 @@
 /**
- * particles.js — BufferGeometry particle system with smooth lerp updates
- * and an impulse system for explosive effects (Black Flash).
+ * particles.js — GPU particle system with smooth lerp updates
+ * and an impulse system for explosive effects (Black Flash, Cleave).
+ *
+ * Simulation state lives in float textures ping-ponged by GPUComputationRenderer:
+ *   texturePosition — xyz position, w = size
+ *   textureColor    — rgb color, a = alpha
+ *   textureVelocity — xyz velocity
+ * Target positions/sizes/colors are DataTextures filled on the CPU by
+ * setTargets() and only re-uploaded when their contents actually change.
+ * Lerp, velocity integration/decay and impulses all run in shaders.
+ *
+ * Rendering honours per-particle size (perspective-attenuated, s = 1 matches
+ * the old fixed point size) and alpha, drawn as soft/round/square/spark sprites.
+ *
+ * Particles are split into up to MAX_GROUPS contiguous groups (one per hand in
+ * per-hand mode). Each group has its own targets, motion settings, impulses
+ * and scene transform (anchor → pivot), so two techniques can run side by side.
+ * Techniques only ever see their group, through the same API the whole system
+ * used to expose: setActiveCount, setTargets, applyImpulse, … getPoints.
+ *
+ * Transitions: startTransition() snapshots a group's current positions and,
+ * for the next `duration` ms, moves each particle along a styled path from its
+ * snapshot to its target instead of lerping. Per-particle delays (`order` ×
+ * `stagger`) spread the start times, and each particle's progress is eased.
+ *   styles — morph (straight), implode (collapse to the core, then expand),
+ *            dissolve (shrink away, reappear at the target), swirl (spiral in)
+ *   orders — center (center first), edge (outside first), index, random
+ *
+ * Force fields: addField() registers a persistent force on a group's particles,
+ * evaluated in the velocity shader on every update() until it is removed or its
+ * `lifetime` (ms) runs out. Fields live in group space and act through velocity,
+ * so they only move particles while the group's motion uses velocity.
+ *   types    — point (attracts; negative strength repels), vortex (spins around
+ *              `axis` through `center`), turbulence (curl noise, `scale` = 1 /
+ *              feature size), drag (damps velocity; strength 0–1), plane (pushes
+ *              away from the plane through `center` with normal `axis`, within
+ *              `width` of the center — Cleave's blades)
+ *   falloff  — how strength fades with distance up to `radius` (from the center,
+ *              the vortex axis or the plane): constant, linear, smooth, inverse
+ *              (inverse-square, unbounded)
+ *   envelope — optional (t) => scale over the field's life, t = 0 → 1
+ * A lifetime of 0 lasts a single update (a one-off impulse).
+ *
+ * CPU fallback: without float textures or vertex texture fetch the GPU can't
+ * simulate, so the same lerp, velocity and force fields run in JS on state
+ * held in vertex attributes. Transitions then fall back to the plain lerp.
  */
 import * as THREE from 'three';
-import { scene } from './renderer.js';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { scene, renderer } from './renderer.js';
+import * as clock from './clock.js';
 
-const MAX_COUNT = 20000;
-let activeCount  = MAX_COUNT;
+const MAX_COUNT  = 50000;
+const TEX_SIZE   = Math.ceil(Math.sqrt(MAX_COUNT));   // particles are texels of a square texture
+const MAX_FIELDS = 16;                                // force fields, all groups together
+const VELOCITY_DECAY = 0.91;
+const POINT_SIZE     = 0.3;                           // world size of a particle with s = 1
+const MAX_GROUPS     = 2;
 
-// ── Geometry buffers ──
-const positions       = new Float32Array(MAX_COUNT * 3);
-const colors          = new Float32Array(MAX_COUNT * 3);
-const sizes           = new Float32Array(MAX_COUNT);
-const targetPositions = new Float32Array(MAX_COUNT * 3);
-const targetColors    = new Float32Array(MAX_COUNT * 3);
-const targetSizes     = new Float32Array(MAX_COUNT);
-const velocities      = new Float32Array(MAX_COUNT * 3);
+// Sprite shapes understood by the fragment shader
+const SPRITE_SHAPES = { soft: 0, round: 1, square: 2, spark: 3 };
 
-const geometry = new THREE.BufferGeometry();
-geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-geometry.setAttribute('color',    new THREE.BufferAttribute(colors, 3));
-geometry.setAttribute('size',     new THREE.BufferAttribute(sizes, 1));
-
-const material = new THREE.PointsMaterial({
-    size:         0.3,
-    vertexColors: true,
-    blending:     THREE.AdditiveBlending,
-    transparent:  true,
-    depthWrite:   false,
+// Transition ids understood by the position shader (0 = plain lerp)
+const TRANSITION_STYLES = { morph: 1, implode: 2, dissolve: 3, swirl: 4 };
+const TRANSITION_ORDERS = { center: 0, edge: 1, index: 2, random: 3 };
+const TRANSITION_EASES  = { linear: 0, inQuad: 1, outQuad: 2, inOutCubic: 3, outExpo: 4, outBack: 5 };   // as choreo.js EASINGS
+const TRANSITION_DEFAULTS = { order: 'center', duration: 1000, stagger: 0.4, ease: 'inOutCubic' };
+const MAX_STAGGER = 0.9;   // leave every particle some time to move
+
+// Force field ids understood by the velocity shader
+const FIELD_TYPES    = { point: 1, vortex: 2, turbulence: 3, drag: 4, plane: 5 };
+const FIELD_FALLOFFS = { constant: 0, linear: 1, smooth: 2, inverse: 3 };
+const FIELD_DEFAULTS = {
+    strength: 1,
+    radius:   30,
+    falloff:  'linear',
+    width:    30,          // plane: in-plane reach
+    scale:    0.08,        // turbulence: noise frequency
+    lifetime: Infinity,
+    envelope: null,
+};
+
+let groupCount    = 1;
+let split         = MAX_COUNT;   // first particle index of group 1
+let frame         = 0;
+let particleScale = 1;           // share of the requested count actually drawn (governor.js)
+
+// ── Target buffers (CPU side, uploaded on change) ──
+const targetPositions = new Float32Array(TEX_SIZE * TEX_SIZE * 4);   // xyz + size
+const targetColors    = new Float32Array(TEX_SIZE * TEX_SIZE * 4);   // rgb + alpha
+
+const targetPositionTex = new THREE.DataTexture(targetPositions, TEX_SIZE, TEX_SIZE, THREE.RGBAFormat, THREE.FloatType);
+const targetColorTex    = new THREE.DataTexture(targetColors,    TEX_SIZE, TEX_SIZE, THREE.RGBAFormat, THREE.FloatType);
+
+// ── Force fields (shared by all groups) and their uniform arrays ──
+const fields       = [];   // { group, type, center, axis, strength, radius, … start }
+const fieldCenters = Array.from({ length: MAX_FIELDS }, () => new THREE.Vector3());
+const fieldAxes    = Array.from({ length: MAX_FIELDS }, () => new THREE.Vector3());
+const fieldParams  = Array.from({ length: MAX_FIELDS }, () => new THREE.Vector4());   // type, strength, radius, group
+const fieldShapes  = Array.from({ length: MAX_FIELDS }, () => new THREE.Vector4());   // falloff, width, scale, -
+
+// Handle returned when a field can't be added
+const NO_FIELD = { set() {}, remove() {} };
+
+// ── Compute shaders ──
+
+const hashChunk = `
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+`;
+
+// Group of the particle stored at texel uv: 0.0 or 1.0 (indices >= uSplit)
+const groupChunk = `
+    uniform float uSplit;
+
+    float particleGroup(vec2 uv) {
+        vec2 cell = floor(uv * ${TEX_SIZE}.0);
+        return step(uSplit, cell.y * ${TEX_SIZE}.0 + cell.x);
+    }
+`;
+
+const velocityShader = `
+    #define MAX_FIELDS ${MAX_FIELDS}
+
+    uniform vec2  uDecay;                 // per group (x = group 0, y = group 1)
+    uniform vec2  uClear;
+    uniform vec2  uRadialImpulse;
+    uniform float uFrame;
+    uniform float uTime;                  // seconds, for turbulence
+    uniform int   uFieldCount;
+    uniform vec3  uFieldCenter[MAX_FIELDS];
+    uniform vec3  uFieldAxis[MAX_FIELDS];
+    uniform vec4  uFieldParams[MAX_FIELDS];
+    uniform vec4  uFieldShape[MAX_FIELDS];
+
+    ${hashChunk}
+    ${groupChunk}
+
+    // FIELD_FALLOFFS: strength share at distance d from a field reaching radius
+    float fieldFalloff(float d, float radius, float mode) {
+        float x = d / max(radius, 0.001);
+        if (mode < 0.5) return step(x, 1.0);
+        if (mode < 1.5) return max(0.0, 1.0 - x);
+        if (mode < 2.5) return 1.0 - smoothstep(0.0, 1.0, x);
+        return 1.0 / (1.0 + x * x);
+    }
+
+    // Curl of a sum-of-sines potential: divergence-free, so it swirls without clumping
+    vec3 curl(vec3 p) {
+        float t = uTime;
+        return vec3(
+            -1.2 * sin(p.y * 1.2 + t * 0.9) - 1.1 * cos(p.z * 1.1 + t * 0.8),
+            -1.7 * sin(p.z * 1.7 - t * 0.7) - 1.5 * cos(p.x * 1.5 - t * 0.6),
+            -1.9 * sin(p.x * 1.9 + t * 0.5) - 1.3 * cos(p.y * 1.3 + t)
+        ) / 3.0;
+    }
+
+    void main() {
+        vec2  uv    = gl_FragCoord.xy / resolution.xy;
+        float group = particleGroup(uv);
+        vec3  pos   = texture2D(texturePosition, uv).xyz;
+        vec3  vel   = mix(uClear.x, uClear.y, group) > 0.5
+            ? vec3(0.0)
+            : texture2D(textureVelocity, uv).xyz * mix(uDecay.x, uDecay.y, group);
+
+        // Radial impulse (outward from the group's center)
+        float radial = mix(uRadialImpulse.x, uRadialImpulse.y, group);
+        if (radial != 0.0) {
+            float dist = length(pos);
+            vec3  dir  = dist > 0.0 ? pos / dist : vec3(0.0);
+            vel += dir * radial * (0.5 + hash(uv + uFrame * 0.013) * 0.5);
+        }
+
+        // Force fields
+        for (int k = 0; k < MAX_FIELDS; k++) {
+            if (k >= uFieldCount) break;
+            vec4 params = uFieldParams[k];   // type, strength, radius, group
+            if (abs(params.w - group) > 0.5) continue;   // another group's field
+
+            vec4  shape  = uFieldShape[k];   // falloff, width, scale
+            vec3  d      = pos - uFieldCenter[k];
+            float jitter = 0.8 + hash(uv + uFrame * 0.017 + float(k)) * 0.4;
+
+            if (params.x < 1.5) {
+                // Point: towards the center
+                float dist = length(d);
+                if (dist > 0.0) vel -= d / dist * params.y * fieldFalloff(dist, params.z, shape.x) * jitter;
+            } else if (params.x < 2.5) {
+                // Vortex: around the axis
+                vec3  axis   = uFieldAxis[k];
+                vec3  radial = d - dot(d, axis) * axis;
+                float dist   = length(radial);
+                if (dist > 0.0) vel += cross(axis, radial / dist) * params.y * fieldFalloff(dist, params.z, shape.x) * jitter;
+            } else if (params.x < 3.5) {
+                // Turbulence
+                vel += curl(pos * shape.z) * params.y * fieldFalloff(length(d), params.z, shape.x);
+            } else if (params.x < 4.5) {
+                // Drag
+                vel *= 1.0 - clamp(params.y * fieldFalloff(length(d), params.z, shape.x), 0.0, 1.0);
+            } else {
+                // Plane: away from the plane, on both sides
+                vec3  n        = uFieldAxis[k];
+                float dist     = dot(d, n);                    // signed distance to plane
+                float perpDist = length(d - dist * n);         // in-plane distance
+                float width    = shape.y;
+                if (perpDist >= width) continue;
+
+                float falloff = fieldFalloff(abs(dist), params.z, shape.x) * max(0.0, 1.0 - perpDist / width);
+                if (falloff <= 0.01) continue;
+
+                float pushDir = dist > 0.0 ? 1.0 : -1.0;
+                vel += n * params.y * falloff * pushDir * jitter;
+            }
+        }
+
+        gl_FragColor = vec4(vel, 1.0);
+    }
+`;
+
+const positionShader = `
+    #define PI 3.14159265
+
+    uniform sampler2D uTargetPosition;
+    uniform sampler2D uFromPosition;      // snapshot taken by startTransition()
+    uniform vec2 uLerp;
+    uniform vec2 uUseVelocity;
+    uniform vec2 uTransStyle;             // 0 = no transition (TRANSITION_STYLES)
+    uniform vec2 uTransTime;              // 0 → 1 over the whole transition
+    uniform vec2 uTransStagger;           // share of that time spent on delays
+    uniform vec2 uTransOrder;             // TRANSITION_ORDERS
+    uniform vec2 uTransEase;              // TRANSITION_EASES
+    uniform vec2 uTransRadius;            // largest target radius (center / edge orders)
+    uniform vec2 uTransCount;             // active particles (index order)
+
+    ${hashChunk}
+    ${groupChunk}
+
+    float ease(float t, float mode) {
+        if (mode < 0.5) return t;
+        if (mode < 1.5) return t * t;
+        if (mode < 2.5) return t * (2.0 - t);
+        if (mode < 3.5) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(2.0 - 2.0 * t, 3.0) / 2.0;
+        if (mode < 4.5) return 1.0 - pow(2.0, -10.0 * t);
+        float u = t - 1.0;
+        return 1.0 + 2.70158 * u * u * u + 1.70158 * u * u;
+    }
+
+    // 0 → 1: when this particle starts moving, relative to the others
+    float delayOrder(vec2 uv, vec3 target, float group) {
+        float order = mix(uTransOrder.x, uTransOrder.y, group);
+        float dist  = clamp(length(target) / max(mix(uTransRadius.x, uTransRadius.y, group), 0.001), 0.0, 1.0);
+        if (order < 0.5) return dist;
+        if (order < 1.5) return 1.0 - dist;
+        if (order < 2.5) {
+            vec2 cell = floor(uv * ${TEX_SIZE}.0);
+            float i   = cell.y * ${TEX_SIZE}.0 + cell.x - group * uSplit;
+            return clamp(i / max(mix(uTransCount.x, uTransCount.y, group), 1.0), 0.0, 1.0);
+        }
+        return hash(uv);
+    }
+
+    // Position + size at eased progress e along the style's path
+    vec4 transitionPath(float style, vec4 from, vec4 to, float e) {
+        if (style < 1.5) return mix(from, to, e);
+        if (style < 2.5) {
+            vec4 core = vec4(to.xyz * 0.05, max(from.w, to.w));
+            return e < 0.5 ? mix(from, core, e * 2.0) : mix(core, to, e * 2.0 - 1.0);
+        }
+        if (style < 3.5) {
+            return e < 0.5
+                ? vec4(from.xyz, from.w * (1.0 - e * 2.0))
+                : vec4(to.xyz, to.w * (e * 2.0 - 1.0));
+        }
+        vec4  p     = mix(from, to, e);
+        float swing = sin(e * PI);
+        float angle = swing * PI;
+        p.xz  = mat2(cos(angle), sin(angle), -sin(angle), cos(angle)) * p.xz;
+        p.xyz *= 1.0 + swing * 0.3;
+        return p;
+    }
+
+    void main() {
+        vec2  uv     = gl_FragCoord.xy / resolution.xy;
+        float group  = particleGroup(uv);
+        vec4  pos    = texture2D(texturePosition, uv);
+        vec4  target = texture2D(uTargetPosition, uv);
+        vec3  vel    = texture2D(textureVelocity, uv).xyz;
+
+        // Mid-transition particles follow their path; finished ones lerp as usual
+        float style = mix(uTransStyle.x, uTransStyle.y, group);
+        if (style > 0.5) {
+            float stagger = mix(uTransStagger.x, uTransStagger.y, group);
+            float t = (mix(uTransTime.x, uTransTime.y, group) - stagger * delayOrder(uv, target.xyz, group)) / (1.0 - stagger);
+            if (t < 1.0) {
+                vec4 from = texture2D(uFromPosition, uv);
+                gl_FragColor = transitionPath(style, from, target, ease(clamp(t, 0.0, 1.0), mix(uTransEase.x, uTransEase.y, group)));
+                return;
+            }
+        }
+
+        pos += (target - pos) * mix(uLerp.x, uLerp.y, group);   // xyz + size
+        pos.xyz += vel * mix(uUseVelocity.x, uUseVelocity.y, group);
+
+        gl_FragColor = pos;
+    }
+`;
+
+const colorShader = `
+    uniform sampler2D uTargetColor;
+    uniform vec2 uLerp;
+
+    ${groupChunk}
+
+    void main() {
+        vec2 uv    = gl_FragCoord.xy / resolution.xy;
+        vec4 color = texture2D(textureColor, uv);
+        color += (texture2D(uTargetColor, uv) - color) * mix(uLerp.x, uLerp.y, particleGroup(uv));
+        gl_FragColor = color;
+    }
+`;
+
+// Copies one group's current positions into the transition snapshot
+const snapshotShader = `
+    uniform sampler2D uCurrent;
+    uniform sampler2D uPrevious;
+    uniform float uGroup;
+
+    ${groupChunk}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        gl_FragColor = abs(particleGroup(uv) - uGroup) < 0.5
+            ? texture2D(uCurrent, uv)
+            : texture2D(uPrevious, uv);
+    }
+`;
+
+// ── GPGPU setup ──
+const gpuCompute  = new GPUComputationRenderer(TEX_SIZE, TEX_SIZE, renderer);
+const velocityVar = gpuCompute.addVariable('textureVelocity', velocityShader, gpuCompute.createTexture());
+const positionVar = gpuCompute.addVariable('texturePosition', positionShader, gpuCompute.createTexture());
+const colorVar    = gpuCompute.addVariable('textureColor',    colorShader,    gpuCompute.createTexture());
+
+gpuCompute.setVariableDependencies(velocityVar, [velocityVar, positionVar]);
+gpuCompute.setVariableDependencies(positionVar, [positionVar, velocityVar]);
+gpuCompute.setVariableDependencies(colorVar,    [colorVar]);
+
+Object.assign(velocityVar.material.uniforms, {
+    uSplit:         { value: split },
+    uDecay:         { value: new THREE.Vector2(1, 1) },
+    uClear:         { value: new THREE.Vector2() },
+    uRadialImpulse: { value: new THREE.Vector2() },
+    uFrame:         { value: 0 },
+    uTime:          { value: 0 },
+    uFieldCount:    { value: 0 },
+    uFieldCenter:   { value: fieldCenters },
+    uFieldAxis:     { value: fieldAxes },
+    uFieldParams:   { value: fieldParams },
+    uFieldShape:    { value: fieldShapes },
+});
+Object.assign(positionVar.material.uniforms, {
+    uSplit:          { value: split },
+    uTargetPosition: { value: targetPositionTex },
+    uFromPosition:   { value: null },
+    uLerp:           { value: new THREE.Vector2(0.1, 0.1) },
+    uUseVelocity:    { value: new THREE.Vector2() },
+    uTransStyle:     { value: new THREE.Vector2() },
+    uTransTime:      { value: new THREE.Vector2() },
+    uTransStagger:   { value: new THREE.Vector2() },
+    uTransOrder:     { value: new THREE.Vector2() },
+    uTransEase:      { value: new THREE.Vector2() },
+    uTransRadius:    { value: new THREE.Vector2(1, 1) },
+    uTransCount:     { value: new THREE.Vector2(1, 1) },
+});
+Object.assign(colorVar.material.uniforms, {
+    uSplit:       { value: split },
+    uTargetColor: { value: targetColorTex },
+    uLerp:        { value: new THREE.Vector2(0.1, 0.1) },
 });
 
-const points = new THREE.Points(geometry, material);
-scene.add(points);
+const computeError  = gpuCompute.init();
+const cpuSimulation = computeError !== null;
+if (cpuSimulation) {
+    console.warn(`[particles] GPU simulation unavailable (${computeError}); simulating on the CPU`);
+}
 
-/**
- * Set the active particle count (inactive particles fade to size 0).
- */
-function setActiveCount(count) {
-    activeCount = Math.min(count, MAX_COUNT);
+// Transition snapshots, ping-ponged so one group's snapshot survives another's
+const snapshotTargets  = [gpuCompute.createRenderTarget(), gpuCompute.createRenderTarget()];
+const snapshotMaterial = gpuCompute.createShaderMaterial(snapshotShader, {
+    uSplit:    { value: split },
+    uCurrent:  { value: null },
+    uPrevious: { value: null },
+    uGroup:    { value: 0 },
+});
+let snapshotIndex = 0;
+
+function snapshotPositions(groupIndex) {
+    const next = 1 - snapshotIndex;
+    snapshotMaterial.uniforms.uCurrent.value  = gpuCompute.getCurrentRenderTarget(positionVar).texture;
+    snapshotMaterial.uniforms.uPrevious.value = snapshotTargets[snapshotIndex].texture;
+    snapshotMaterial.uniforms.uGroup.value    = groupIndex;
+    gpuCompute.doRenderTarget(snapshotMaterial, snapshotTargets[next]);
+
+    snapshotIndex = next;
+    positionVar.material.uniforms.uFromPosition.value = snapshotTargets[next].texture;
 }
 
-/**
- * Populate target arrays from a generator function.
- * @param {(i: number, count: number) => {x,y,z,r,g,b,s}} generateFn
- */
-function setTargets(generateFn) {
-    for (let i = 0; i < MAX_COUNT; i++) {
-        if (i < activeCount) {
+// ── Spark sprite: 4-point glint drawn once into a canvas ──
+function createSparkTexture() {
+    const size   = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const c   = size / 2;
+
+    const glow = ctx.createRadialGradient(c, c, 0, c, c, c);
+    glow.addColorStop(0.0, 'rgba(255,255,255,1)');
+    glow.addColorStop(0.2, 'rgba(255,255,255,0.6)');
+    glow.addColorStop(1.0, 'rgba(255,255,255,0)');
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, size, size);
+
+    // Thin cross rays
+    ctx.globalCompositeOperation = 'lighter';
+    for (const [w, h] of [[size, 2], [2, size]]) {
+        const ray = ctx.createRadialGradient(c, c, 0, c, c, c);
+        ray.addColorStop(0, 'rgba(255,255,255,0.9)');
+        ray.addColorStop(1, 'rgba(255,255,255,0)');
+        ctx.fillStyle = ray;
+        ctx.fillRect(c - w / 2, c - h / 2, w, h);
+    }
+    return new THREE.CanvasTexture(canvas);
+}
+
+// ── Force fields ──
+
+// Copy a field spec (or a partial update) onto a registered field
+function assignField(field, spec) {
+    const { center, axis, ...rest } = spec;
+    Object.assign(field, rest);
+    if (center) field.center.fromArray(center);
+    if (axis)   field.axis.fromArray(axis).normalize();
+}
+
+function removeField(field) {
+    const k = fields.indexOf(field);
+    if (k !== -1) fields.splice(k, 1);
+}
+
+// Lifetime 0 fields are one-off impulses
+function isImpulse(field) {
+    return field.lifetime <= 0;
+}
+
+// ── Groups: contiguous particle ranges with their own targets, motion and transform ──
+
+function createGroup(index) {
+    const anchor = new THREE.Object3D();   // placed by main.js (its side of the scene)
+    const pivot  = new THREE.Object3D();   // rotated by the technique
+    anchor.add(pivot);
+    scene.add(anchor);
+
+    const group = {
+        index, anchor, pivot,
+        offset:        0,
+        capacity:      index === 0 ? MAX_COUNT : 0,
+        activeCount:   index === 0 ? MAX_COUNT : 0,
+        lerp:          0.1,
+        useVelocity:   false,
+        radialImpulse: 0,
+        clearPending:  false,
+        filled:        0,      // particles whose targets may be set (cleared beyond activeCount)
+        targetRadius:  1,      // largest target distance from the group's center
+        transition:    null,   // { style, order, duration, stagger, ease, start }
+    };
+
+    /**
+     * Set the active particle count (inactive particles fade to size 0).
+     * The budget is scaled by the quality governor, then split evenly between
+     * the groups in use.
+     */
+    function setActiveCount(count) {
+        group.activeCount = Math.min(Math.floor(count * particleScale / groupCount), group.capacity);
+    }
+
+    /**
+     * Populate this group's targets from a generator function.
+     * `s` is the particle size (1 = base size), `a` its optional alpha (default 1).
+     * Only the active particles are generated; those dropped since the last
+     * call are zeroed once. Uploads to the GPU only if any value changed.
+     * @param {(i: number, count: number) => {x,y,z,r,g,b,s,a?}} generateFn
+     */
+    function setTargets(generateFn) {
+        const { offset, activeCount, filled } = group;
+        let changed   = false;
+        let maxRadius = 0;
+
+        for (let i = 0; i < activeCount; i++) {
+            const o = (offset + i) * 4;
+
+            // Round to float32 up front so unchanged values compare equal
             const p = generateFn(i, activeCount);
-            targetPositions[i * 3]     = p.x;
-            targetPositions[i * 3 + 1] = p.y;
-            targetPositions[i * 3 + 2] = p.z;
-            targetColors[i * 3]        = p.r;
-            targetColors[i * 3 + 1]    = p.g;
-            targetColors[i * 3 + 2]    = p.b;
-            targetSizes[i]             = p.s;
-        } else {
-            targetPositions[i * 3] = targetPositions[i * 3 + 1] = targetPositions[i * 3 + 2] = 0;
-            targetColors[i * 3]    = targetColors[i * 3 + 1]    = targetColors[i * 3 + 2]    = 0;
-            targetSizes[i] = 0;
+            const x = Math.fround(p.x), y = Math.fround(p.y), z = Math.fround(p.z);
+            const r = Math.fround(p.r), g = Math.fround(p.g), b = Math.fround(p.b);
+            const s = Math.fround(p.s);
+            const a = p.a === undefined ? 1 : Math.fround(p.a);
+            maxRadius = Math.max(maxRadius, x * x + y * y + z * z);
+
+            if (targetPositions[o] !== x || targetPositions[o + 1] !== y ||
+                targetPositions[o + 2] !== z || targetPositions[o + 3] !== s ||
+                targetColors[o] !== r || targetColors[o + 1] !== g ||
+                targetColors[o + 2] !== b || targetColors[o + 3] !== a) {
+                targetPositions[o]     = x;
+                targetPositions[o + 1] = y;
+                targetPositions[o + 2] = z;
+                targetPositions[o + 3] = s;
+                targetColors[o]        = r;
+                targetColors[o + 1]    = g;
+                targetColors[o + 2]    = b;
+                targetColors[o + 3]    = a;
+                changed = true;
+            }
+        }
+
+        // Inactive particles fade to size 0
+        if (filled > activeCount) {
+            targetPositions.fill(0, (offset + activeCount) * 4, (offset + filled) * 4);
+            targetColors.fill(0, (offset + activeCount) * 4, (offset + filled) * 4);
+            changed = true;
+        }
+        group.filled = activeCount;
+
+        if (changed) {
+            targetPositionTex.needsUpdate = true;
+            targetColorTex.needsUpdate    = true;
+        }
+        group.targetRadius = Math.sqrt(maxRadius) || 1;
+    }
+
+    /**
+     * Morph from the particles' current positions into the targets set from
+     * now on (see the header for styles and orders). Null or style 'lerp'
+     * cancels a running transition and falls back to the plain lerp.
+     * @param {{ style: string, order?: string, duration?: number, stagger?: number, ease?: string } | null} transition
+     */
+    function startTransition(transition) {
+        if (!transition || !TRANSITION_STYLES[transition.style] || cpuSimulation) {
+            group.transition = null;
+            return;
+        }
+        snapshotPositions(index);
+        group.transition = { ...TRANSITION_DEFAULTS, ...transition, start: clock.now() };
+    }
+
+    /**
+     * Apply a radial impulse (outward from the group's center) to its particles.
+     * Queued and applied on the GPU during the next update().
+     */
+    function applyImpulse(strength = 1.0) {
+        group.radialImpulse += strength;
+    }
+
+    /**
+     * Apply a plane-based impulse (push particles away from a slicing plane):
+     * a plane field that lasts for the next update() only.
+     * @param {Array} center - [x, y, z] center of the plane, in group space
+     * @param {Array} normal - [nx, ny, nz] normalized plane normal
+     * @param {number} strength - impulse strength
+     * @param {number} width - affected radius perpendicular to normal
+     */
+    function applyPlaneImpulse(center, normal, strength, width) {
+        addField({ type: 'plane', center, axis: normal, strength, width, radius: 15, lifetime: 0 });
+    }
+
+    /**
+     * Register a force field on this group's particles (see the header).
+     * Ignored when the type is unknown or MAX_FIELDS are already in use.
+     * @param {{ type: string, center?: Array, axis?: Array, strength?: number, radius?: number,
+     *           falloff?: string, width?: number, scale?: number, lifetime?: number,
+     *           envelope?: (t: number) => number }} spec — center / axis in group space
+     * @returns {{ set: (changes: object) => void, remove: () => void }}
+     */
+    function addField(spec) {
+        if (!FIELD_TYPES[spec.type] || fields.length >= MAX_FIELDS) return NO_FIELD;
+
+        const field = {
+            ...FIELD_DEFAULTS,
+            group:  index,
+            center: new THREE.Vector3(),
+            axis:   new THREE.Vector3(0, 1, 0),
+            start:  clock.now(),
+        };
+        assignField(field, spec);
+        fields.push(field);
+
+        return {
+            set(changes) { assignField(field, changes); },
+            remove()     { removeField(field); },
+        };
+    }
+
+    /**
+     * Remove every field this group has (main.js does so on each technique exit).
+     */
+    function clearFields() {
+        for (let k = fields.length - 1; k >= 0; k--) {
+            if (fields[k].group === index) fields.splice(k, 1);
+        }
+    }
+
+    /**
+     * Motion for the next update().
+     * @param {number} lerpFactor - interpolation speed (0-1)
+     * @param {boolean} useVelocity - whether to apply velocity (Black Flash, Cleave)
+     */
+    function setMotion(lerpFactor = 0.1, useVelocity = false) {
+        group.lerp        = lerpFactor;
+        group.useVelocity = useVelocity;
+    }
+
+    /**
+     * Clear this group's velocities (call when switching away from Black Flash).
+     * Also drops any impulses it queued this frame; persistent fields stay.
+     */
+    function clearVelocities() {
+        group.clearPending  = true;
+        group.radialImpulse = 0;
+
+        for (let k = fields.length - 1; k >= 0; k--) {
+            if (fields[k].group === index && isImpulse(fields[k])) fields.splice(k, 1);
         }
     }
+
+    /**
+     * The group's pivot (for rotation, etc.).
+     */
+    function getPoints() {
+        return pivot;
+    }
+
+    group.api = {
+        anchor,
+        setActiveCount, setTargets, startTransition, applyImpulse, applyPlaneImpulse,
+        addField, clearFields, setMotion, clearVelocities, getPoints,
+    };
+    return group;
 }
 
-/**
- * Apply a radial impulse (outward from center) to all particles.
- */
-function applyImpulse(strength = 1.0) {
-    for (let i = 0; i < MAX_COUNT; i++) {
-        const x = positions[i * 3];
-        const y = positions[i * 3 + 1];
-        const z = positions[i * 3 + 2];
-        const dist = Math.sqrt(x * x + y * y + z * z) || 1;
-        const s = strength * (0.5 + Math.random() * 0.5);
-        velocities[i * 3]     += (x / dist) * s;
-        velocities[i * 3 + 1] += (y / dist) * s;
-        velocities[i * 3 + 2] += (z / dist) * s;
+const groups = Array.from({ length: MAX_GROUPS }, (_, k) => createGroup(k));
+
+// ── Render geometry: one vertex per texel, positions fetched in the vertex shader ──
+const references = new Float32Array(MAX_COUNT * 2);
+for (let i = 0; i < MAX_COUNT; i++) {
+    references[i * 2]     = ((i % TEX_SIZE) + 0.5) / TEX_SIZE;
+    references[i * 2 + 1] = (Math.floor(i / TEX_SIZE) + 0.5) / TEX_SIZE;
+}
+
+const geometry = new THREE.BufferGeometry();
+geometry.setAttribute('position',  new THREE.BufferAttribute(new Float32Array(MAX_COUNT * 3), 3));
+geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+
+// ── CPU fallback: the compute shaders' lerp, velocity and fields, run in JS ──
+const cpuPositions  = cpuSimulation ? new Float32Array(MAX_COUNT * 4) : null;   // xyz + size
+const cpuColors     = cpuSimulation ? new Float32Array(MAX_COUNT * 4) : null;   // rgb + alpha
+const cpuVelocities = cpuSimulation ? new Float32Array(MAX_COUNT * 3) : null;
+const curlOut       = [0, 0, 0];
+
+if (cpuSimulation) {
+    geometry.setAttribute('cpuPosition', new THREE.BufferAttribute(cpuPositions, 4).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('cpuColor',    new THREE.BufferAttribute(cpuColors,    4).setUsage(THREE.DynamicDrawUsage));
+}
+
+// As fieldFalloff() in the velocity shader
+function fieldFalloff(d, radius, mode) {
+    const x = d / Math.max(radius, 0.001);
+    if (mode === FIELD_FALLOFFS.constant) return x <= 1 ? 1 : 0;
+    if (mode === FIELD_FALLOFFS.linear)   return Math.max(0, 1 - x);
+    if (mode === FIELD_FALLOFFS.smooth) {
+        const t = Math.min(x, 1);
+        return 1 - t * t * (3 - 2 * t);
     }
+    return 1 / (1 + x * x);
+}
+
+// As curl() in the velocity shader
+function curl(x, y, z, t) {
+    curlOut[0] = (-1.2 * Math.sin(y * 1.2 + t * 0.9) - 1.1 * Math.cos(z * 1.1 + t * 0.8)) / 3;
+    curlOut[1] = (-1.7 * Math.sin(z * 1.7 - t * 0.7) - 1.5 * Math.cos(x * 1.5 - t * 0.6)) / 3;
+    curlOut[2] = (-1.9 * Math.sin(x * 1.9 + t * 0.5) - 1.3 * Math.cos(y * 1.3 + t)) / 3;
+    return curlOut;
 }
 
 /**
- * Apply a plane-based impulse (push particles away from a slicing plane).
- * @param {Array} center - [x, y, z] center of the plane
- * @param {Array} normal - [nx, ny, nz] normalized plane normal
- * @param {number} strength - impulse strength
- * @param {number} width - affected radius perpendicular to normal
+ * One simulation step for every particle, reading the field uniform arrays
+ * updateFields() just filled. Like the GPU passes, positions integrate the
+ * previous frame's velocity.
  */
-function applyPlaneImpulse(center, normal, strength, width) {
-    const [cx, cy, cz] = center;
-    const [nx, ny, nz] = normal;
-    
-    for (let i = 0; i < MAX_COUNT; i++) {
-        const px = positions[i * 3];
-        const py = positions[i * 3 + 1];
-        const pz = positions[i * 3 + 2];
-        
-        // Vector from center to particle
-        const dx = px - cx;
-        const dy = py - cy;
-        const dz = pz - cz;
-        
-        // Distance to plane (signed)
-        const dist = dx * nx + dy * ny + dz * nz;
-        
-        // Distance perpendicular to normal (in-plane distance)
-        const perpX = dx - dist * nx;
-        const perpY = dy - dist * ny;
-        const perpZ = dz - dist * nz;
-        const perpDist = Math.sqrt(perpX * perpX + perpY * perpY + perpZ * perpZ);
-        
-        // Only affect particles within the blade width
-        if (perpDist < width) {
-            // Falloff based on distance from plane
-            const falloff = Math.max(0, 1.0 - Math.abs(dist) / 15);
-            const widthFalloff = Math.max(0, 1.0 - perpDist / width);
-            const totalFalloff = falloff * widthFalloff;
-            
-            if (totalFalloff > 0.01) {
-                // Push particles perpendicular to the plane (away from slice)
-                const pushDir = dist > 0 ? 1 : -1;
-                const s = strength * totalFalloff * pushDir * (0.8 + Math.random() * 0.4);
-                
-                velocities[i * 3]     += nx * s;
-                velocities[i * 3 + 1] += ny * s;
-                velocities[i * 3 + 2] += nz * s;
+function simulateOnCpu(time) {
+    for (const group of groups) {
+        const { offset, capacity, lerp, radialImpulse, clearPending } = group;
+        const decay = group.useVelocity ? VELOCITY_DECAY : 1;
+        const move  = group.useVelocity ? 1 : 0;
+        const live  = [];   // indices of this group's fields
+        fields.forEach((field, k) => { if (field.group === group.index) live.push(k); });
+
+        for (let i = offset; i < offset + capacity; i++) {
+            const o  = i * 4;
+            const v  = i * 3;
+            const px = cpuPositions[o], py = cpuPositions[o + 1], pz = cpuPositions[o + 2];
+            const ux = cpuVelocities[v], uy = cpuVelocities[v + 1], uz = cpuVelocities[v + 2];
+            let vx = clearPending ? 0 : ux * decay;
+            let vy = clearPending ? 0 : uy * decay;
+            let vz = clearPending ? 0 : uz * decay;
+
+            // Radial impulse (outward from the group's center)
+            if (radialImpulse !== 0) {
+                const dist = Math.hypot(px, py, pz);
+                if (dist > 0) {
+                    const f = radialImpulse * (0.5 + Math.random() * 0.5) / dist;
+                    vx += px * f; vy += py * f; vz += pz * f;
+                }
             }
+
+            // Force fields
+            for (const k of live) {
+                const { x: type, y: strength, z: radius } = fieldParams[k];
+                const { x: falloff, y: width, z: scale }  = fieldShapes[k];
+                const c      = fieldCenters[k];
+                const n      = fieldAxes[k];
+                const dx     = px - c.x, dy = py - c.y, dz = pz - c.z;
+                const jitter = 0.8 + Math.random() * 0.4;
+
+                if (type === FIELD_TYPES.point) {
+                    const dist = Math.hypot(dx, dy, dz);
+                    if (dist > 0) {
+                        const f = strength * fieldFalloff(dist, radius, falloff) * jitter / dist;
+                        vx -= dx * f; vy -= dy * f; vz -= dz * f;
+                    }
+                } else if (type === FIELD_TYPES.vortex) {
+                    const along = dx * n.x + dy * n.y + dz * n.z;
+                    const rx = dx - along * n.x, ry = dy - along * n.y, rz = dz - along * n.z;
+                    const dist = Math.hypot(rx, ry, rz);
+                    if (dist > 0) {
+                        const f = strength * fieldFalloff(dist, radius, falloff) * jitter / dist;
+                        vx += (n.y * rz - n.z * ry) * f;
+                        vy += (n.z * rx - n.x * rz) * f;
+                        vz += (n.x * ry - n.y * rx) * f;
+                    }
+                } else if (type === FIELD_TYPES.turbulence) {
+                    const f = strength * fieldFalloff(Math.hypot(dx, dy, dz), radius, falloff);
+                    const w = curl(px * scale, py * scale, pz * scale, time);
+                    vx += w[0] * f; vy += w[1] * f; vz += w[2] * f;
+                } else if (type === FIELD_TYPES.drag) {
+                    const f = 1 - Math.min(Math.max(strength * fieldFalloff(Math.hypot(dx, dy, dz), radius, falloff), 0), 1);
+                    vx *= f; vy *= f; vz *= f;
+                } else {
+                    const dist = dx * n.x + dy * n.y + dz * n.z;   // signed distance to plane
+                    const perp = Math.hypot(dx - dist * n.x, dy - dist * n.y, dz - dist * n.z);
+                    if (perp >= width) continue;
+
+                    const fade = fieldFalloff(Math.abs(dist), radius, falloff) * Math.max(0, 1 - perp / width);
+                    if (fade <= 0.01) continue;
+
+                    const f = strength * fade * (dist > 0 ? 1 : -1) * jitter;
+                    vx += n.x * f; vy += n.y * f; vz += n.z * f;
+                }
+            }
+
+            cpuVelocities[v]     = vx;
+            cpuVelocities[v + 1] = vy;
+            cpuVelocities[v + 2] = vz;
+
+            for (let c = 0; c < 4; c++) {   // xyz + size, rgb + alpha
+                cpuPositions[o + c] += (targetPositions[o + c] - cpuPositions[o + c]) * lerp;
+                cpuColors[o + c]    += (targetColors[o + c]    - cpuColors[o + c])    * lerp;
+            }
+            cpuPositions[o]     += ux * move;
+            cpuPositions[o + 1] += uy * move;
+            cpuPositions[o + 2] += uz * move;
         }
     }
+    geometry.attributes.cpuPosition.needsUpdate = true;
+    geometry.attributes.cpuColor.needsUpdate    = true;
 }
 
+const material = new THREE.ShaderMaterial({
+    defines: cpuSimulation ? { CPU_SIMULATION: '' } : {},
+    uniforms: {
+        uPositionTex: { value: null },
+        uColorTex:    { value: null },
+        uSize:        { value: POINT_SIZE },
+        uScale:       { value: 1 },
+        uShape:       { value: SPRITE_SHAPES.soft },
+        uSprite:      { value: createSparkTexture() },
+        uSplit:       { value: split },
+        uGroupMatrix: { value: groups.map((g) => g.pivot.matrixWorld) },
+    },
+    vertexShader: `
+        uniform sampler2D uPositionTex;
+        uniform sampler2D uColorTex;
+        uniform float uSize;
+        uniform float uScale;
+        uniform mat4  uGroupMatrix[${MAX_GROUPS}];
+
+        ${groupChunk}
+
+        attribute vec2 reference;
+        varying vec4 vColor;
+
+        #ifdef CPU_SIMULATION
+        attribute vec4 cpuPosition;
+        attribute vec4 cpuColor;
+        #endif
+
+        void main() {
+            #ifdef CPU_SIMULATION
+            vec4 pos = cpuPosition;
+            vColor   = cpuColor;
+            #else
+            vec4 pos = texture2D(uPositionTex, reference);   // w = per-particle size
+            vColor   = texture2D(uColorTex, reference);      // a = per-particle alpha
+            #endif
+
+            mat4 groupMatrix = particleGroup(reference) > 0.5 ? uGroupMatrix[1] : uGroupMatrix[0];
+            vec4 mvPosition  = modelViewMatrix * groupMatrix * vec4(pos.xyz, 1.0);
+            gl_PointSize = max(pos.w, 0.0) * uSize * (uScale / -mvPosition.z);   // perspective attenuation
+            gl_Position  = projectionMatrix * mvPosition;
+        }
+    `,
+    fragmentShader: `
+        uniform int uShape;
+        uniform sampler2D uSprite;
+
+        varying vec4 vColor;
+
+        void main() {
+            vec2  p = gl_PointCoord - 0.5;
+            float r = length(p);
+            float mask;
+
+            if (uShape == 0) {
+                mask = 1.0 - smoothstep(0.2, 0.5, r);          // soft round
+            } else if (uShape == 1) {
+                mask = 1.0 - smoothstep(0.45, 0.5, r);         // hard round, anti-aliased edge
+            } else if (uShape == 2) {
+                mask = 1.0;                                    // square (legacy look)
+            } else {
+                mask = texture2D(uSprite, gl_PointCoord).a;    // textured sprite
+            }
+
+            float alpha = mask * clamp(vColor.a, 0.0, 1.0);
+            if (alpha < 0.01) discard;
+            gl_FragColor = vec4(vColor.rgb, alpha);
+        }
+    `,
+    blending:    THREE.AdditiveBlending,
+    transparent: true,
+    depthWrite:  false,
+});
+
+const points = new THREE.Points(geometry, material);
+points.frustumCulled = false;   // real positions only exist on the GPU
+// Point sizes follow the drawing buffer, including offscreen hi-res renders
+points.onBeforeRender = (gl) => {
+    material.uniforms.uScale.value = gl.domElement.height * 0.5;
+};
+scene.add(points);
+
 /**
- * Per-frame lerp of positions, colors, sizes toward targets.
- * Also applies and decays velocity impulses.
- * @param {number} lerpFactor - interpolation speed (0-1)
- * @param {boolean} useVelocity - whether to apply velocity (for Black Flash only)
+ * Split the particles into `count` equal groups (1 = everything in group 0).
+ * Every group must be re-targeted afterwards.
  */
-function update(lerpFactor = 0.1, useVelocity = false) {
-    for (let i = 0; i < MAX_COUNT * 3; i++) {
-        if (useVelocity) {
-            positions[i] += (targetPositions[i] - positions[i]) * lerpFactor + velocities[i];
-            velocities[i] *= 0.91;
-        } else {
-            positions[i] += (targetPositions[i] - positions[i]) * lerpFactor;
-        }
-        colors[i] += (targetColors[i] - colors[i]) * lerpFactor;
-    }
-    for (let i = 0; i < MAX_COUNT; i++) {
-        sizes[i] += (targetSizes[i] - sizes[i]) * lerpFactor;
+function setGroupCount(count) {
+    groupCount = THREE.MathUtils.clamp(count, 1, MAX_GROUPS);
+    const capacity = Math.floor(MAX_COUNT / groupCount);
+
+    groups.forEach((group, k) => {
+        group.offset      = k * capacity;
+        group.capacity    = k < groupCount ? capacity : 0;
+        group.activeCount = Math.min(group.activeCount, group.capacity);
+        group.filled      = group.capacity;   // the range may hold another group's targets
+    });
+
+    split = groupCount > 1 ? capacity : MAX_COUNT;
+    for (const uniforms of [velocityVar.material.uniforms, positionVar.material.uniforms,
+        colorVar.material.uniforms, snapshotMaterial.uniforms, material.uniforms]) {
+        uniforms.uSplit.value = split;
     }
+}
+
+/**
+ * A group's particle API: setActiveCount, setTargets, startTransition, applyImpulse,
+ * applyPlaneImpulse, addField, clearFields, setMotion, clearVelocities, getPoints
+ * (+ its scene anchor).
+ */
+function getGroup(index) {
+    return groups[index].api;
+}
 
-    geometry.attributes.position.needsUpdate = true;
-    geometry.attributes.color.needsUpdate    = true;
-    geometry.attributes.size.needsUpdate     = true;
+/**
+ * Share of every requested particle count that is actually drawn (0–1).
+ * Groups must be re-targeted afterwards to pick it up.
+ */
+function setParticleScale(scale) {
+    particleScale = THREE.MathUtils.clamp(scale, 0, 1);
 }
 
 /**
- * Clear all velocities (call when switching away from Black Flash).
+ * Select the sprite drawn for each particle.
+ * @param {'soft' | 'round' | 'square' | 'spark'} shape
  */
-function clearVelocities() {
-    for (let i = 0; i < MAX_COUNT * 3; i++) {
-        velocities[i] = 0;
+function setSpriteShape(shape) {
+    material.uniforms.uShape.value = SPRITE_SHAPES[shape] ?? SPRITE_SHAPES.soft;
+}
+
+function updateTransition(group, k) {
+    const uniforms = positionVar.material.uniforms;
+    const { transition } = group;
+
+    let time = 0;
+    if (transition) {
+        time = (clock.now() - transition.start) / Math.max(transition.duration, 1);
+        if (time >= 1) group.transition = null;
+    }
+    if (!group.transition) {
+        uniforms.uTransStyle.value.setComponent(k, 0);
+        return;
     }
+
+    uniforms.uTransStyle.value.setComponent(k, TRANSITION_STYLES[transition.style]);
+    uniforms.uTransTime.value.setComponent(k, time);
+    uniforms.uTransStagger.value.setComponent(k, THREE.MathUtils.clamp(transition.stagger, 0, MAX_STAGGER));
+    uniforms.uTransOrder.value.setComponent(k, TRANSITION_ORDERS[transition.order] ?? TRANSITION_ORDERS.center);
+    uniforms.uTransEase.value.setComponent(k, TRANSITION_EASES[transition.ease] ?? TRANSITION_EASES.inOutCubic);
+    uniforms.uTransRadius.value.setComponent(k, group.targetRadius);
+    uniforms.uTransCount.value.setComponent(k, group.activeCount);
+}
+
+// Upload the live fields (strength scaled by their envelope); drops expired ones
+function updateFields(uniforms) {
+    const now = clock.now();
+    for (let k = fields.length - 1; k >= 0; k--) {
+        if (!isImpulse(fields[k]) && now - fields[k].start >= fields[k].lifetime) fields.splice(k, 1);
+    }
+
+    fields.forEach((field, k) => {
+        const life     = Number.isFinite(field.lifetime) && field.lifetime > 0
+            ? Math.min((now - field.start) / field.lifetime, 1)
+            : 0;
+        const strength = field.envelope ? field.strength * field.envelope(life) : field.strength;
+
+        fieldCenters[k].copy(field.center);
+        fieldAxes[k].copy(field.axis);
+        fieldParams[k].set(FIELD_TYPES[field.type], strength, field.radius, field.group);
+        fieldShapes[k].set(FIELD_FALLOFFS[field.falloff] ?? FIELD_FALLOFFS.linear, field.width, field.scale, 0);
+    });
+    uniforms.uFieldCount.value = fields.length;
+    uniforms.uTime.value       = now / 1000;
 }
 
 /**
- * Access the Points mesh (for rotation, etc.).
+ * Per-frame lerp of positions, colors, sizes toward targets, using each
+ * group's motion settings (or its running transition). Also evaluates the
+ * force fields and applies and decays velocity impulses.
  */
-function getPoints() {
-    return points;
+function update() {
+    const velUniforms = velocityVar.material.uniforms;
+    const posUniforms = positionVar.material.uniforms;
+
+    groups.forEach((group, k) => {
+        velUniforms.uDecay.value.setComponent(k, group.useVelocity ? VELOCITY_DECAY : 1.0);
+        velUniforms.uClear.value.setComponent(k, group.clearPending ? 1 : 0);
+        velUniforms.uRadialImpulse.value.setComponent(k, group.radialImpulse);
+        posUniforms.uLerp.value.setComponent(k, group.lerp);
+        posUniforms.uUseVelocity.value.setComponent(k, group.useVelocity ? 1 : 0);
+        colorVar.material.uniforms.uLerp.value.setComponent(k, group.lerp);
+        updateTransition(group, k);
+    });
+    velUniforms.uFrame.value = frame++ % 1000;
+    updateFields(velUniforms);
+
+    if (cpuSimulation) {
+        simulateOnCpu(velUniforms.uTime.value);
+    } else {
+        gpuCompute.compute();
+        material.uniforms.uPositionTex.value = gpuCompute.getCurrentRenderTarget(positionVar).texture;
+        material.uniforms.uColorTex.value    = gpuCompute.getCurrentRenderTarget(colorVar).texture;
+    }
+
+    // Impulses are one-shot
+    for (const group of groups) {
+        group.radialImpulse = 0;
+        group.clearPending  = false;
+    }
+    for (let k = fields.length - 1; k >= 0; k--) {
+        if (isImpulse(fields[k])) fields.splice(k, 1);
+    }
 }
 
 function getMaxCount() {
@@ -175,8 +1004,6 @@ function getMaxCount() {
 }
 
 export {
-    points, geometry, positions, colors, sizes,
-    targetPositions, targetColors, targetSizes, velocities,
-    setActiveCount, setTargets, applyImpulse, applyPlaneImpulse, update,
-    clearVelocities, getPoints, getMaxCount,
+    points, geometry, material,
+    setGroupCount, getGroup, setParticleScale, setSpriteShape, update, getMaxCount,
 };
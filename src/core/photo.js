@@ -0,0 +1,126 @@
+/**
+ * photo.js — Photo mode: frozen scene, free orbit camera, hi-res stills.
+ *
+ * Entering pauses the app clock (technique phases, combo windows) and main.js
+ * stops simulating particles and handling gestures, so the scene holds still.
+ * The camera gets OrbitControls; bloom and exposure are tunable. Leaving
+ * restores the camera and resumes everything where it stopped.
+ *
+ * Stills are rendered through the full composer at a multiple of the screen
+ * resolution by temporarily raising the pixel ratio (clamped to the GPU's
+ * maximum texture size).
+ *
+ * Emits 'photo' { active } on the event bus when toggled.
+ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import * as renderer from './renderer.js';
+import * as clock from './clock.js';
+import { emit } from './events.js';
+import { downloadBlob } from './download.js';
+
+let controls = null;
+let saved    = null;   // camera + bloom + exposure before entering
+
+function isActive() {
+    return controls !== null;
+}
+
+function enter() {
+    if (controls) return;
+    const { camera, bloomPass } = renderer;
+
+    clock.pause();
+    renderer.settle();
+    saved = {
+        position:   camera.position.clone(),
+        quaternion: camera.quaternion.clone(),
+        bloom:      bloomPass.strength,
+        exposure:   renderer.getExposure(),
+    };
+
+    controls = new OrbitControls(camera, renderer.renderer.domElement);
+    controls.enableDamping = true;
+    controls.target.set(0, 0, 0);
+    controls.minDistance = 5;
+    controls.maxDistance = 300;
+    controls.update();
+
+    emit('photo', { active: true });
+}
+
+function exit() {
+    if (!controls) return;
+    const { camera, bloomPass } = renderer;
+
+    controls.dispose();
+    controls = null;
+
+    camera.position.copy(saved.position);
+    camera.quaternion.copy(saved.quaternion);
+    bloomPass.strength = saved.bloom;
+    renderer.setExposure(saved.exposure);
+    saved = null;
+
+    clock.resume();
+    emit('photo', { active: false });
+}
+
+/**
+ * Per-frame while active: damped orbit.
+ */
+function update() {
+    if (controls) controls.update();
+}
+
+function getBloom() {
+    return renderer.bloomPass.strength;
+}
+
+function setBloom(strength) {
+    renderer.bloomPass.strength = strength;
+}
+
+function setExposure(exposure) {
+    renderer.setExposure(exposure);
+}
+
+/**
+ * Render the current view at `scale` × the screen resolution and download it as PNG.
+ * Rejects if the canvas can't be encoded (e.g. the image is too large).
+ * @returns {Promise<{ width: number, height: number }>} the actual size rendered
+ */
+function savePNG(scale = 2) {
+    const gl         = renderer.renderer;
+    const size       = gl.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getScreenPixelRatio();   // not the governor's lowered one
+    const maxSize    = gl.capabilities.maxTextureSize;
+    const ratio      = Math.min(pixelRatio * scale, maxSize / size.x, maxSize / size.y);
+
+    gl.setPixelRatio(ratio);
+    renderer.composer.setPixelRatio(ratio);
+    renderer.render();
+
+    // Read back in the same task as the render, before the buffer is presented
+    const { width, height } = gl.domElement;
+    const done = new Promise((resolve, reject) => {
+        gl.domElement.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error(`[photo] Could not encode a ${width}×${height} PNG`));
+                return;
+            }
+            downloadBlob(blob, `sat0ru-photo-${width}x${height}-${Date.now()}.png`);
+            resolve({ width, height });
+        }, 'image/png');
+    });
+
+    renderer.setResolution();   // back to the governor's resolution (and scaled bloom)
+    renderer.render();
+    return done;
+}
+
+export {
+    isActive, enter, exit, update,
+    getBloom, setBloom, setExposure, savePNG,
+};
@@ -0,0 +1,249 @@
+/**
+ * postfx.js — Post-processing stack appended to the composer after bloom + exposure:
+ *   chromatic aberration → color grade (3D LUT) → vignette → animated film grain.
+ *
+ * Each pass can be toggled and tuned from the settings panel (configure()).
+ * Techniques push per-frame values through getPostOverride() — e.g. an
+ * aberration spike on the Black Flash impact — which main.js hands to update().
+ * Color grades are small 3D LUTs generated from the GRADES presets and
+ * cross-faded when the technique (config.grade) changes.
+ */
+
+import * as THREE from 'three';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { composer } from './renderer.js';
+
+const LUT_SIZE       = 16;
+const GRADE_FADE_MS  = 600;
+const BASE_CHROMATIC = 0.0015;   // always-on lens fringing (uv offset at the edges)
+
+/**
+ * Grade presets: tint multiplies, lift raises the blacks, then saturation and
+ * contrast around mid-grey. Techniques refer to them by name (config.grade).
+ */
+export const GRADES = {
+    none:    {},
+    crimson: { tint: [1.2, 0.78, 0.74], lift: [0.05, 0.0, 0.0],  saturation: 1.15, contrast: 1.15 },
+    cold:    { tint: [0.78, 1.0, 1.18], lift: [0.0, 0.02, 0.05], saturation: 0.8,  contrast: 1.1 },
+};
+
+const options = {
+    grain:           true,
+    grainAmount:     0.08,
+    chromatic:       true,
+    chromaticAmount: 1.0,
+    vignette:        true,
+    vignetteAmount:  0.35,
+    grade:           true,
+    gradeIntensity:  1.0,
+};
+
+// ── Shaders ──
+
+const vertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const chromaticPass = new ShaderPass({
+    uniforms: {
+        tDiffuse: { value: null },
+        uAmount:  { value: BASE_CHROMATIC },
+    },
+    vertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float uAmount;
+        varying vec2 vUv;
+
+        void main() {
+            // Radial split: stronger towards the edges
+            vec2 offset = (vUv - 0.5) * uAmount;
+            vec4 texel  = texture2D(tDiffuse, vUv);
+            float r = texture2D(tDiffuse, vUv + offset).r;
+            float b = texture2D(tDiffuse, vUv - offset).b;
+            gl_FragColor = vec4(r, texel.g, b, texel.a);
+        }
+    `,
+});
+
+const gradePass = new ShaderPass({
+    uniforms: {
+        tDiffuse:   { value: null },
+        uLutFrom:   { value: null },
+        uLutTo:     { value: null },
+        uMix:       { value: 1.0 },
+        uIntensity: { value: 1.0 },
+    },
+    vertexShader,
+    fragmentShader: `
+        precision highp sampler3D;
+
+        uniform sampler2D tDiffuse;
+        uniform sampler3D uLutFrom;
+        uniform sampler3D uLutTo;
+        uniform float uMix;
+        uniform float uIntensity;
+        varying vec2 vUv;
+
+        vec3 lookup(sampler3D lut, vec3 color) {
+            // Sample texel centers so 0 and 1 map to the first / last entry
+            vec3 uvw = color * ${(LUT_SIZE - 1) / LUT_SIZE} + ${0.5 / LUT_SIZE};
+            return texture(lut, uvw).rgb;
+        }
+
+        void main() {
+            vec4 texel  = texture2D(tDiffuse, vUv);
+            vec3 color  = clamp(texel.rgb, 0.0, 1.0);
+            vec3 graded = mix(lookup(uLutFrom, color), lookup(uLutTo, color), uMix);
+            gl_FragColor = vec4(mix(texel.rgb, graded, uIntensity), texel.a);
+        }
+    `,
+});
+
+const vignettePass = new ShaderPass({
+    uniforms: {
+        tDiffuse: { value: null },
+        uAmount:  { value: options.vignetteAmount },
+    },
+    vertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float uAmount;
+        varying vec2 vUv;
+
+        void main() {
+            vec4  texel = texture2D(tDiffuse, vUv);
+            float d     = length(vUv - 0.5) * 1.414;   // 0 center → 1 corners
+            texel.rgb  *= 1.0 - uAmount * smoothstep(0.35, 1.0, d);
+            gl_FragColor = texel;
+        }
+    `,
+});
+
+const grainPass = new ShaderPass({
+    uniforms: {
+        tDiffuse: { value: null },
+        uAmount:  { value: options.grainAmount },
+        uTime:    { value: 0 },
+    },
+    vertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float uAmount;
+        uniform float uTime;
+        varying vec2 vUv;
+
+        float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        void main() {
+            vec4  texel = texture2D(tDiffuse, vUv);
+            float noise = hash(gl_FragCoord.xy + fract(uTime) * 1000.0) - 0.5;
+            // Grain shows most in the mid-tones, like film
+            float luma  = dot(texel.rgb, vec3(0.2126, 0.7152, 0.0722));
+            texel.rgb  += noise * uAmount * (1.0 - abs(luma - 0.5));
+            gl_FragColor = texel;
+        }
+    `,
+});
+
+for (const pass of [chromaticPass, gradePass, vignettePass, grainPass]) composer.addPass(pass);
+
+// ── Color grade LUTs ──
+
+const luts = new Map();   // grade name → Data3DTexture
+
+function gradeColor(grade, rgb) {
+    const { tint = [1, 1, 1], lift = [0, 0, 0], saturation = 1, contrast = 1 } = grade;
+    let c = rgb.map((v, k) => lift[k] + v * tint[k] * (1 - lift[k]));
+    const luma = c[0] * 0.2126 + c[1] * 0.7152 + c[2] * 0.0722;
+    c = c.map((v) => luma + (v - luma) * saturation);
+    c = c.map((v) => (v - 0.5) * contrast + 0.5);
+    return c.map((v) => Math.min(1, Math.max(0, v)));
+}
+
+function getLut(name) {
+    if (!luts.has(name)) {
+        const grade = GRADES[name] || GRADES.none;
+        const data  = new Uint8Array(LUT_SIZE ** 3 * 4);
+        let o = 0;
+        for (let b = 0; b < LUT_SIZE; b++) {
+            for (let g = 0; g < LUT_SIZE; g++) {
+                for (let r = 0; r < LUT_SIZE; r++) {
+                    const c = gradeColor(grade, [r, g, b].map((v) => v / (LUT_SIZE - 1)));
+                    data[o++] = Math.round(c[0] * 255);
+                    data[o++] = Math.round(c[1] * 255);
+                    data[o++] = Math.round(c[2] * 255);
+                    data[o++] = 255;
+                }
+            }
+        }
+        const lut = new THREE.Data3DTexture(data, LUT_SIZE, LUT_SIZE, LUT_SIZE);
+        lut.format      = THREE.RGBAFormat;
+        lut.minFilter   = THREE.LinearFilter;
+        lut.magFilter   = THREE.LinearFilter;
+        lut.wrapS = lut.wrapT = lut.wrapR = THREE.ClampToEdgeWrapping;
+        lut.unpackAlignment = 1;
+        lut.needsUpdate = true;
+        luts.set(name, lut);
+    }
+    return luts.get(name);
+}
+
+let gradeName  = 'none';
+let gradeStart = -Infinity;
+
+gradePass.uniforms.uLutFrom.value = getLut('none');
+gradePass.uniforms.uLutTo.value   = getLut('none');
+
+/**
+ * Cross-fade to a grade preset (unknown names fall back to 'none').
+ */
+function setGrade(name = 'none') {
+    if (!GRADES[name]) name = 'none';
+    if (name === gradeName) return;
+
+    gradePass.uniforms.uLutFrom.value = gradePass.uniforms.uLutTo.value;
+    gradePass.uniforms.uLutTo.value   = getLut(name);
+    gradePass.uniforms.uMix.value     = 0;
+    gradeName  = name;
+    gradeStart = performance.now();
+}
+
+// ── Public API ──
+
+/**
+ * Toggle / tune passes (from the settings panel).
+ * @param {Partial<typeof options>} next
+ */
+function configure(next) {
+    Object.assign(options, next);
+    chromaticPass.enabled = options.chromatic;
+    gradePass.enabled     = options.grade;
+    vignettePass.enabled  = options.vignette;
+    grainPass.enabled     = options.grain;
+    gradePass.uniforms.uIntensity.value = options.gradeIntensity;
+}
+
+/**
+ * Per-frame update. `override` is the merged getPostOverride() of the active
+ * techniques: { chromatic?, grain?, vignette? }. Chromatic spikes add to the
+ * base fringing; grain and vignette overrides win if stronger than the panel value.
+ */
+function update(override = null) {
+    const now = performance.now();
+    const ovr = override || {};
+
+    chromaticPass.uniforms.uAmount.value = (BASE_CHROMATIC + (ovr.chromatic || 0)) * options.chromaticAmount;
+    vignettePass.uniforms.uAmount.value  = Math.max(options.vignetteAmount, ovr.vignette || 0);
+    grainPass.uniforms.uAmount.value     = Math.max(options.grainAmount, ovr.grain || 0);
+    grainPass.uniforms.uTime.value       = (now * 0.001) % 1000;
+    gradePass.uniforms.uMix.value        = Math.min(1, (now - gradeStart) / GRADE_FADE_MS);
+}
+
+export { configure, setGrade, update };
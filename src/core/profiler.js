@@ -0,0 +1,109 @@
+/**
+ * profiler.js — Per-frame timing breakdown for the profiler HUD (ui/profilerhud.js).
+ *
+ * main.js brackets each stage of a frame with begin(section) / end(section)
+ * (a section's time is summed over the frame: techniques and setTargets run
+ * once per slot)
+ * and calls endFrame() once per animation frame. hands.js reports every
+ * MediaPipe inference with trackingSample(), timed around hands.send().
+ *
+ * Times are CPU-side: GPU work queued by a stage surfaces wherever the
+ * browser waits for it, usually composer.render. Nothing is measured while
+ * the profiler is disabled.
+ */
+
+export const SECTIONS = ['techniques', 'setTargets', 'particles.update', 'renderer.update', 'composer.render'];
+
+const HISTORY_MS = 4000;   // how far back frames / tracking samples are kept
+
+let enabled    = false;
+let phase      = '';
+let frameStart = null;
+let current    = emptySections();
+const starts   = {};
+const frames   = [];   // { t, total, sections: { name → ms } }
+const tracking = [];   // { t, latency }
+
+function emptySections() {
+    return Object.fromEntries(SECTIONS.map((name) => [name, 0]));
+}
+
+function trim(samples, now) {
+    while (samples.length > 0 && now - samples[0].t > HISTORY_MS) samples.shift();
+}
+
+// ── Public API ──
+
+function setEnabled(value) {
+    enabled = value;
+    if (!enabled) {
+        frames.length   = 0;
+        tracking.length = 0;
+        frameStart      = null;
+    }
+}
+
+function isEnabled() {
+    return enabled;
+}
+
+function begin(section) {
+    if (enabled) starts[section] = performance.now();
+}
+
+function end(section) {
+    if (enabled) current[section] += performance.now() - starts[section];
+}
+
+/**
+ * Close the frame: store its section times and the time since the previous one.
+ * @param {string} [label] — what is running (technique + phase), shown on the HUD
+ */
+function endFrame(label = '') {
+    if (!enabled) return;
+    const now = performance.now();
+    if (frameStart !== null) frames.push({ t: now, total: now - frameStart, sections: current });
+    trim(frames, now);
+
+    frameStart = now;
+    current    = emptySections();
+    phase      = label;
+}
+
+/**
+ * One hand-tracking inference (hands.send → results handled).
+ * @param {number} latency — ms
+ */
+function trackingSample(latency) {
+    if (!enabled) return;
+    const now = performance.now();
+    tracking.push({ t: now, latency });
+    trim(tracking, now);
+}
+
+/**
+ * Frames of the last HISTORY_MS, oldest first.
+ */
+function getFrames() {
+    return frames;
+}
+
+/**
+ * Hand tracking over the last second: mean inference latency (ms) and results per second.
+ */
+function getTracking() {
+    const now    = performance.now();
+    const recent = tracking.filter((s) => now - s.t <= 1000);
+    const total  = recent.reduce((sum, s) => sum + s.latency, 0);
+    return { latency: recent.length ? total / recent.length : 0, rate: recent.length };
+}
+
+function getPhase() {
+    return phase;
+}
+
+export {
+    HISTORY_MS,
+    setEnabled, isEnabled, begin, end, endFrame, trackingSample,
+    getFrames, getTracking, getPhase,
+};
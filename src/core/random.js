@@ -0,0 +1,78 @@
+/**
+ * random.js — Seeded randomness shared by every technique.
+ *
+ * Technique shapes must come out identical for the same seed and time, so
+ * screenshots and clips can be reproduced and animated techniques can
+ * re-generate their targets every frame without jitter. Techniques therefore
+ * never call Math.random(); they use:
+ *   hash(n)   — stable value in [0, 1) for an integer key (typically the
+ *               particle index, offset per channel: hash(i), hash(i + 1e5), …)
+ *   stream(n) — a PRNG seeded by a key, for generators drawing several values
+ *               in a row; returns () => value in [0, 1)
+ *
+ * Both depend on the session seed: `?seed=` in the URL, the panel's Seed field,
+ * or one picked at random on startup (shown in the panel so it can be reused).
+ */
+
+const MAX_SEED = 0xffffffff;
+
+let seed    = -1;   // set below
+let seedMix = 0;    // mix32(seed), folded into every key
+
+// 32-bit integer finalizer (good avalanche, cheap enough per particle per frame)
+function mix32(x) {
+    x ^= x >>> 16;
+    x  = Math.imul(x, 0x7feb352d);
+    x ^= x >>> 15;
+    x  = Math.imul(x, 0x846ca68b);
+    x ^= x >>> 16;
+    return x >>> 0;
+}
+
+/**
+ * Stable pseudo-random value in [0, 1) for an integer key and the current seed.
+ * @param {number} n
+ */
+function hash(n) {
+    return mix32((n | 0) ^ seedMix) / 4294967296;
+}
+
+/**
+ * A PRNG (mulberry32) seeded by `key` and the current seed.
+ * @param {number} key
+ * @returns {() => number}
+ */
+function stream(key) {
+    let state = mix32((key | 0) ^ seedMix);
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function getSeed() {
+    return seed;
+}
+
+/**
+ * Set the session seed (an integer 0 – 2³²−1; anything else is ignored).
+ * Static techniques must be re-generated afterwards to pick it up.
+ * @returns {boolean} whether the seed changed
+ */
+function setSeed(value) {
+    const next = Number(value);
+    if (!Number.isInteger(next) || next < 0 || next > MAX_SEED || next === seed) return false;
+    seed    = next;
+    seedMix = mix32(seed ^ 0x9e3779b9);
+    return true;
+}
+
+// Session seed: from the URL, else a fresh one
+const urlSeed = new URLSearchParams(location.search).get('seed');
+if (urlSeed === null || !setSeed(parseInt(urlSeed, 10))) {
+    setSeed(Math.floor(Math.random() * MAX_SEED));
+}
+
+export { hash, stream, getSeed, setSeed };
@@ -1,21 +1,25 @@
 /**
- * renderer.js — Scene, camera, WebGLRenderer, EffectComposer, bloom.
- * Also manages cinematic transition effects: bloom ramp, camera dolly, screen shake.
+ * renderer.js — Scene, camera, WebGLRenderer, EffectComposer, bloom, exposure.
+ * Also manages cinematic transition effects: bloom ramp, camera dolly, screen shake,
+ * and composes the camera from the dolly spring plus the choreography pose (choreo.js).
  */
 import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass }     from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass }     from 'three/addons/postprocessing/ShaderPass.js';
 
 // ── Scene ──
+const BASE_FOV = 75;
 const scene  = new THREE.Scene();
-const camera = new THREE.PerspectiveCamera(75, innerWidth / innerHeight, 0.1, 1000);
+const camera = new THREE.PerspectiveCamera(BASE_FOV, innerWidth / innerHeight, 0.1, 1000);
 camera.position.z = 55;
 
 // ── WebGL Renderer ──
 const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+const MAX_PIXEL_RATIO = 2;
 renderer.setSize(innerWidth, innerHeight);
-renderer.setPixelRatio(Math.min(devicePixelRatio, 2));
+renderer.setPixelRatio(Math.min(devicePixelRatio, MAX_PIXEL_RATIO));
 document.body.appendChild(renderer.domElement);
 
 // ── Post-processing ──
@@ -30,14 +34,47 @@ const bloomPass = new UnrealBloomPass(
 );
 composer.addPass(bloomPass);
 
+// Render resolution, scaled down by the quality governor (governor.js)
+const resolution = { pixelScale: 1, bloomScale: 1 };
+
+// Final brightness scale (photo mode exposure)
+const exposurePass = new ShaderPass({
+    uniforms: {
+        tDiffuse:  { value: null },
+        uExposure: { value: 1.0 },
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float uExposure;
+        varying vec2 vUv;
+        void main() {
+            vec4 texel = texture2D(tDiffuse, vUv);
+            gl_FragColor = vec4(texel.rgb * uExposure, texel.a);
+        }
+    `,
+});
+composer.addPass(exposurePass);
+
 // ── Transition state ──
 const BASE_CAM_Z = 55;
 let bloomTarget    = 1.5;
 let cameraZTarget  = BASE_CAM_Z;
+let cameraZ        = BASE_CAM_Z;   // dolly spring: camera distance from the scene center
 let shakeEnergy    = 0;
 let shakeIntensity = 0;
 let shakeEnabled   = true;
 
+// Choreography offsets on top of the dolly (see choreo.js for the channels)
+const cameraPose = { orbit: 0, crane: 0, roll: 0, fov: 0, dolly: 0, lookX: 0, lookY: 0, lookZ: 0 };
+const lookTarget = new THREE.Vector3();
+
 /**
  * Set target bloom with an optional cinematic overshoot.
  */
@@ -63,6 +100,27 @@ function cameraDolly(deltaZ) {
     cameraZTarget = BASE_CAM_Z + deltaZ;
 }
 
+/**
+ * Set the choreography pose applied on the next update().
+ */
+function setCameraPose(pose) {
+    Object.assign(cameraPose, pose);
+}
+
+function applyCamera() {
+    const distance = cameraZ + cameraPose.dolly;
+    const yaw      = THREE.MathUtils.degToRad(cameraPose.orbit);
+    camera.position.set(Math.sin(yaw) * distance, cameraPose.crane, Math.cos(yaw) * distance);
+    camera.lookAt(lookTarget.set(cameraPose.lookX, cameraPose.lookY, cameraPose.lookZ));
+    camera.rotateZ(THREE.MathUtils.degToRad(cameraPose.roll));
+
+    const fov = BASE_FOV + cameraPose.fov;
+    if (camera.fov !== fov) {
+        camera.fov = fov;
+        camera.updateProjectionMatrix();
+    }
+}
+
 /**
  * Enable / disable shake (called by UI panel).
  */
@@ -73,6 +131,28 @@ function setShakeEnabled(enabled) {
     }
 }
 
+/**
+ * Multiply the final image brightness (1 = unchanged).
+ */
+function setExposure(exposure) {
+    exposurePass.uniforms.uExposure.value = exposure;
+}
+
+function getExposure() {
+    return exposurePass.uniforms.uExposure.value;
+}
+
+/**
+ * Drop running transitions (shake, dolly) — used before handing the camera
+ * to photo mode. Bloom keeps its current strength.
+ */
+function settle() {
+    shakeEnergy   = 0;
+    cameraZTarget = BASE_CAM_Z;
+    bloomTarget   = bloomPass.strength;
+    renderer.domElement.style.transform = 'translate(0,0)';
+}
+
 /**
  * Per-frame update of all transition effects.
  */
@@ -80,9 +160,10 @@ function update() {
     // Bloom lerp toward target
     bloomPass.strength += (bloomTarget - bloomPass.strength) * 0.06;
 
-    // Camera dolly lerp + spring back to base
-    camera.position.z += (cameraZTarget - camera.position.z) * 0.04;
-    cameraZTarget     += (BASE_CAM_Z - cameraZTarget) * 0.025;
+    // Camera dolly lerp + spring back to base, then the choreography pose
+    cameraZ       += (cameraZTarget - cameraZ) * 0.04;
+    cameraZTarget += (BASE_CAM_Z - cameraZTarget) * 0.025;
+    applyCamera();
 
     // Screen shake with exponential decay
     if (shakeEnabled && shakeEnergy > 0.005) {
@@ -96,6 +177,31 @@ function update() {
     }
 }
 
+/**
+ * The screen's pixel ratio, capped at 2 — the drawing buffer's ratio before
+ * the quality governor scales it down.
+ */
+function getScreenPixelRatio() {
+    return Math.min(devicePixelRatio, MAX_PIXEL_RATIO);
+}
+
+/**
+ * Scale the drawing buffer (× the screen's pixel ratio, capped at 2) and the
+ * bloom pass (× the drawing buffer). Omitted fields keep their value, so
+ * calling it without arguments restores the current resolution (photo.js).
+ * @param {{ pixelScale?: number, bloomScale?: number }} [next]
+ */
+function setResolution(next = {}) {
+    Object.assign(resolution, next);
+    const ratio = getScreenPixelRatio() * resolution.pixelScale;
+    renderer.setPixelRatio(ratio);
+    composer.setPixelRatio(ratio);   // resizes every pass, bloom included
+    bloomPass.setSize(
+        Math.round(innerWidth * ratio * resolution.bloomScale),
+        Math.round(innerHeight * ratio * resolution.bloomScale),
+    );
+}
+
 /**
  * Render one frame through the EffectComposer.
  */
@@ -109,10 +215,11 @@ window.addEventListener('resize', () => {
     camera.updateProjectionMatrix();
     renderer.setSize(innerWidth, innerHeight);
     composer.setSize(innerWidth, innerHeight);
+    setResolution();
 });
 
 export {
     scene, camera, renderer, composer, bloomPass,
-    setBloom, setShake, cameraDolly, setShakeEnabled,
-    update, render,
+    setBloom, setShake, cameraDolly, setCameraPose, setShakeEnabled, setExposure, getExposure,
+    getScreenPixelRatio, setResolution, settle, update, render,
 };
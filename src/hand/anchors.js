@@ -0,0 +1,101 @@
+/**
+ * anchors.js — Hand landmarks → scene-space anchor points for techniques.
+ *
+ * A technique names its anchor in `config.anchor`; main.js resolves it every
+ * frame from the slot's hands and eases the slot's scene anchor towards it.
+ *
+ * Landmarks are normalized video coordinates. The webcam frame is treated as
+ * covering the viewport (like the mirrored preview), flipped horizontally so
+ * moving your hand right moves the technique right, then unprojected through
+ * the scene camera onto the plane through the scene center facing the camera.
+ * Apparent hand size stands in for depth: a hand nearer the webcam than
+ * REF_SCALE pulls the anchor towards the viewer.
+ */
+
+import * as THREE from 'three';
+import { handScale } from './gestures.js';
+
+const REF_SCALE   = 0.15;   // wrist → middle MCP length at a comfortable distance
+const DEPTH_RANGE = 15;     // max world units the depth cue moves an anchor
+const MIN_SCALE   = 0.3;
+const MAX_SCALE   = 2.0;
+
+function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+// Palm center: between the wrist and the middle-finger MCP
+function palm(lm) {
+    return midpoint(lm[0], lm[9]);
+}
+
+/**
+ * Anchor kinds. `point` picks the image-space point from the hand(s); with
+ * `size`, the anchor is also scaled by the hands' spread (world units / size).
+ */
+export const ANCHORS = {
+    indexTip:     { hands: 1, point: ([lm]) => lm[8] },
+    pinch:        { hands: 1, point: ([lm]) => midpoint(lm[4], lm[8]) },
+    palm:         { hands: 1, point: ([lm]) => palm(lm) },
+    betweenHands: { hands: 2, point: ([a, b]) => midpoint(palm(a), palm(b)), size: 60 },
+};
+
+const ndc    = new THREE.Vector3();
+const normal = new THREE.Vector3();
+const plane  = new THREE.Plane();
+const ray    = new THREE.Ray();
+
+/**
+ * Project one landmark-space point into the scene.
+ * @param {{x: number, y: number}} point — normalized video coordinates
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} imageAspect — webcam width / height
+ * @param {number} [depth] — world units towards the camera
+ * @param {THREE.Vector3} [target]
+ */
+export function toScene(point, camera, imageAspect, depth = 0, target = new THREE.Vector3()) {
+    // Mirrored, with the frame scaled to cover the viewport
+    let x = 1 - 2 * point.x;
+    let y = 1 - 2 * point.y;
+    if (camera.aspect > imageAspect) y *= camera.aspect / imageAspect;
+    else                             x *= imageAspect / camera.aspect;
+
+    camera.getWorldDirection(normal);
+    plane.setFromNormalAndCoplanarPoint(normal, target.set(0, 0, 0));
+    plane.constant += depth;   // shift the plane towards the camera
+
+    ray.origin.setFromMatrixPosition(camera.matrixWorld);
+    ray.direction.copy(ndc.set(x, y, 0.5).unproject(camera)).sub(ray.origin).normalize();
+    return ray.intersectPlane(plane, target) || target.set(0, 0, 0);
+}
+
+function depthCue(hands) {
+    const scale = hands.reduce((sum, lm) => sum + handScale(lm), 0) / hands.length;
+    return THREE.MathUtils.clamp((scale / REF_SCALE - 1) * DEPTH_RANGE, -DEPTH_RANGE, DEPTH_RANGE);
+}
+
+/**
+ * Where an anchor kind sits for the given hands, or null if it can't be placed
+ * (unknown kind, not enough hands). Single-hand kinds use the largest hand.
+ * @param {string} kind — ANCHORS key
+ * @param {Array} hands — landmark arrays of the slot's visible hands
+ * @returns {{ position: THREE.Vector3, scale: number } | null}
+ */
+export function resolveAnchor(kind, hands, camera, imageAspect) {
+    const anchor = ANCHORS[kind];
+    if (!anchor || hands.length < anchor.hands) return null;
+
+    const used = anchor.hands === 1
+        ? [hands.reduce((a, b) => (handScale(b) > handScale(a) ? b : a))]
+        : hands.slice(0, anchor.hands);
+
+    const position = toScene(anchor.point(used), camera, imageAspect, depthCue(used));
+
+    let scale = 1;
+    if (anchor.size) {
+        const a = toScene(palm(used[0]), camera, imageAspect);
+        const b = toScene(palm(used[1]), camera, imageAspect);
+        scale = THREE.MathUtils.clamp(a.distanceTo(b) / anchor.size, MIN_SCALE, MAX_SCALE);
+    }
+    return { position, scale };
+}
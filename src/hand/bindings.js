@@ -0,0 +1,83 @@
+/**
+ * bindings.js — User-remappable pose → technique bindings.
+ *
+ * gestures.js classifies hands into neutral pose names; this table decides
+ * which technique (key in the techniques registry) each pose triggers.
+ * Edits from the settings panel are persisted to localStorage.
+ */
+
+const STORAGE_KEY = 'sat0ru.bindings';
+
+/** Pose names emitted by the classifier, with human-readable labels. */
+export const POSES = {
+    ok_sign:        'OK sign',
+    middle_only:    'Middle finger only',
+    open_hand:      'Open hand',
+    index_middle:   'Index + middle',
+    index_only:     'Index only',
+    pinky_only:     'Pinky only',
+    index_pinky:    'Index + pinky',
+    two_hand_frame: 'Two-hand frame',
+};
+
+/** Pose used when no hand / no clear pose is detected. Always maps to neutral. */
+export const NO_POSE = 'none';
+
+export const DEFAULT_BINDINGS = {
+    ok_sign:        'purple',
+    middle_only:    'blackflash',
+    open_hand:      'shrine',
+    index_middle:   'void',
+    index_only:     'red',
+    pinky_only:     'cleave',
+    index_pinky:    'blue',
+    two_hand_frame: 'simpledomain',
+};
+
+let bindings = loadBindings();
+
+function loadBindings() {
+    if (typeof localStorage === 'undefined') return { ...DEFAULT_BINDINGS };
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return { ...DEFAULT_BINDINGS, ...saved };
+    } catch {
+        return { ...DEFAULT_BINDINGS };
+    }
+}
+
+function saveBindings() {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+}
+
+/**
+ * Technique bound to a pose in the default table (no user edits).
+ */
+export function resolveDefault(pose) {
+    return DEFAULT_BINDINGS[pose] || 'neutral';
+}
+
+/**
+ * Technique currently bound to a pose ('neutral' when unbound).
+ */
+export function resolvePose(pose) {
+    return bindings[pose] || 'neutral';
+}
+
+export function getBindings() {
+    return { ...bindings };
+}
+
+/**
+ * Bind a pose to a technique and persist. Pass 'neutral' to disable a pose.
+ */
+export function setBinding(pose, technique) {
+    bindings[pose] = technique;
+    saveBindings();
+}
+
+export function resetBindings() {
+    bindings = { ...DEFAULT_BINDINGS };
+    saveBindings();
+}
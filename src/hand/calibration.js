@@ -0,0 +1,267 @@
+/**
+ * calibration.js — Per-user gesture calibration profiles.
+ *
+ * A profile is a named set of gesture thresholds (the keys of
+ * DEFAULT_THRESHOLDS in gestures.js). The active profile is applied to every
+ * detector; profiles and the active choice are persisted to localStorage, so
+ * each person on a shared machine can keep their own.
+ *
+ * Guided calibration asks for a few poses in turn, records the measurements
+ * the classifier decides on (measureHand / measureCircle) while each is held,
+ * and fits the distance thresholds between the user's poses. Timing
+ * thresholds (debounce, cooldown, two-hand hold) are a matter of taste and
+ * are only changed by hand. Frames are fed by hands.js while calibrating.
+ */
+
+import { DEFAULT_THRESHOLDS, measureHand, measureCircle, handScale, setThresholds } from './gestures.js';
+import { cleanName } from '../core/names.js';
+
+const STORAGE_KEY     = 'sat0ru.calibration';
+const PROFILE_VERSION = 1;
+const DEFAULT_PROFILE = 'Default';
+const STEP_FRAMES     = 45;     // measured frames per calibration step
+const SETTLE_MS       = 1500;   // time to get into the next pose before measuring
+
+/** Calibration poses in order; `accept` filters out frames where the pose isn't held yet. */
+export const CALIBRATION_STEPS = [
+    { pose: 'ok_sign',        prompt: 'Make the OK sign',          hands: 1, accept: (h) => h.middle && h.ring && h.pinky },
+    { pose: 'open_hand',      prompt: 'Open your hand, thumb out', hands: 1, accept: (h) => h.index && h.middle && h.ring && h.pinky },
+    { pose: 'two_hand_frame', prompt: 'Frame with both hands',     hands: 2, accept: () => true },
+];
+
+const store     = loadStore();   // { active, profiles: { name → thresholds } (no prototype) }
+let calibration = null;        // { step, count, stepStart, samples, onStep, onProgress, onDone }
+
+// ── Persistence ──
+
+// Profiles by name, on an object without a prototype: names are user input
+function createProfiles(entries) {
+    const profiles = Object.create(null);
+    for (const [name, values] of entries) {
+        const clean = cleanName(name);
+        if (clean) profiles[clean] = { ...DEFAULT_THRESHOLDS, ...values };
+    }
+    return profiles;
+}
+
+function loadStore() {
+    const fallback = { active: DEFAULT_PROFILE, profiles: createProfiles([[DEFAULT_PROFILE, {}]]) };
+    if (typeof localStorage === 'undefined') return fallback;
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!saved || saved.version !== PROFILE_VERSION || !saved.profiles || typeof saved.profiles !== 'object') {
+            return fallback;
+        }
+        const profiles = createProfiles(Object.entries(saved.profiles));
+        return profiles[saved.active] ? { active: saved.active, profiles } : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function saveStore() {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: PROFILE_VERSION, ...store }));
+}
+
+function apply() {
+    setThresholds(store.profiles[store.active]);
+}
+
+// ── Profiles ──
+
+function getProfiles() {
+    return Object.keys(store.profiles);
+}
+
+function getActiveProfile() {
+    return store.active;
+}
+
+/**
+ * Thresholds of a profile (default: the active one).
+ */
+function getProfile(name = store.active) {
+    return { ...store.profiles[name] };
+}
+
+function selectProfile(name) {
+    if (!store.profiles[name]) return;
+    store.active = name;
+    saveStore();
+    apply();
+}
+
+/**
+ * Create (or overwrite) a profile, starting from the active profile's values,
+ * and switch to it. The name is normalised (see core/names.js).
+ * @returns {string} the name it was saved under
+ */
+function createProfile(name) {
+    const clean = cleanName(name);
+    if (!clean) throw new Error('[calibration] Profile name is empty or not allowed');
+    store.profiles[clean] = getProfile();
+    selectProfile(clean);
+    return clean;
+}
+
+/**
+ * Delete a profile. The last one left is reset instead, so there is always one.
+ */
+function deleteProfile(name) {
+    if (!store.profiles[name]) return;
+    delete store.profiles[name];
+    if (Object.keys(store.profiles).length === 0) {
+        store.profiles[DEFAULT_PROFILE] = { ...DEFAULT_THRESHOLDS };
+    }
+    if (!store.profiles[store.active]) store.active = Object.keys(store.profiles)[0];
+    saveStore();
+    apply();
+}
+
+/**
+ * Change one threshold of the active profile.
+ */
+function setThreshold(key, value) {
+    if (!Object.hasOwn(DEFAULT_THRESHOLDS, key) || !Number.isFinite(value)) return;
+    store.profiles[store.active][key] = value;
+    saveStore();
+    apply();
+}
+
+/**
+ * Put the active profile back to the default thresholds.
+ */
+function resetProfile() {
+    store.profiles[store.active] = { ...DEFAULT_THRESHOLDS };
+    saveStore();
+    apply();
+}
+
+// ── Guided calibration ──
+
+/**
+ * Walk through CALIBRATION_STEPS and fit the active profile to the measurements.
+ * @param {{
+ *   onStep?: (step: { pose: string, prompt: string }, index: number) => void,
+ *   onProgress?: (done: number, total: number) => void,
+ *   onDone?: (thresholds: object) => void,
+ * }} [callbacks]
+ */
+function startCalibration({ onStep = null, onProgress = null, onDone = null } = {}) {
+    calibration = {
+        step:      0,
+        count:     0,
+        stepStart: performance.now(),
+        samples:   { pinchClosed: [], pinchOpen: [], ringSize: [], symmetry: [] },
+        onStep, onProgress, onDone,
+    };
+    if (onStep) onStep(CALIBRATION_STEPS[0], 0);
+}
+
+function cancelCalibration() {
+    calibration = null;
+}
+
+function isCalibrating() {
+    return calibration !== null;
+}
+
+/**
+ * Feed one MediaPipe frame while calibrating (called by hands.js).
+ */
+function addFrame(multiLandmarks) {
+    if (!calibration || !multiLandmarks) return;
+    if (performance.now() - calibration.stepStart < SETTLE_MS) return;
+
+    const step = CALIBRATION_STEPS[calibration.step];
+    if (!recordSample(step, multiLandmarks)) return;
+
+    calibration.count++;
+    if (calibration.onProgress) calibration.onProgress(calibration.count, STEP_FRAMES);
+    if (calibration.count < STEP_FRAMES) return;
+
+    // Next step, or fit and finish
+    calibration.step++;
+    calibration.count     = 0;
+    calibration.stepStart = performance.now();
+    if (calibration.step < CALIBRATION_STEPS.length) {
+        if (calibration.onStep) calibration.onStep(CALIBRATION_STEPS[calibration.step], calibration.step);
+        return;
+    }
+
+    const { samples, onDone } = calibration;
+    calibration = null;
+    store.profiles[store.active] = { ...store.profiles[store.active], ...fitThresholds(samples) };
+    saveStore();
+    apply();
+    if (onDone) onDone(getProfile());
+}
+
+/**
+ * Store the measurements of one frame for the current step.
+ * @returns {boolean} whether the frame showed the pose
+ */
+function recordSample(step, multiLandmarks) {
+    const { samples } = calibration;
+
+    if (step.hands === 2) {
+        if (multiLandmarks.length !== 2) return false;
+        const circle = measureCircle(multiLandmarks[0], multiLandmarks[1]);
+        if (!circle) return false;
+        samples.ringSize.push(circle.ringSize);
+        samples.symmetry.push(circle.symmetry);
+        return true;
+    }
+
+    if (multiLandmarks.length === 0) return false;
+    let best = multiLandmarks[0];
+    for (const lm of multiLandmarks) {
+        if (handScale(lm) > handScale(best)) best = lm;
+    }
+    const hand = measureHand(best);
+    if (!hand || !step.accept(hand)) return false;
+    (step.pose === 'ok_sign' ? samples.pinchClosed : samples.pinchOpen).push(hand.pinch);
+    return true;
+}
+
+// ── Fitting ──
+
+function quantile(values, q) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+function clamp(v, lo, hi) {
+    return Math.min(Math.max(v, lo), hi);
+}
+
+/**
+ * Thresholds that separate the user's poses: the pinch limit with margin above
+ * a held OK sign but at most halfway to an open hand (just above the OK sign if
+ * they overlap), and a ring size / symmetry window around the recorded frame.
+ */
+function fitThresholds({ pinchClosed, pinchOpen, ringSize, symmetry }) {
+    const closed = quantile(pinchClosed, 0.9);
+    const open   = quantile(pinchOpen, 0.1);
+    const pinch  = open > closed ? Math.min(closed * 1.5, (closed + open) / 2) : closed * 1.15;
+
+    return {
+        pinch:          round(clamp(pinch, 0.1, 0.8)),
+        circleMinSize:  round(clamp(quantile(ringSize, 0.1) * 0.6, 0.2, 2)),
+        circleMaxSize:  round(clamp(quantile(ringSize, 0.9) * 1.5, 1, 5)),
+        circleSymmetry: round(clamp(quantile(symmetry, 0.9) * 1.5, 0.15, 0.6)),
+    };
+}
+
+function round(v) {
+    return Math.round(v * 100) / 100;
+}
+
+apply();
+
+export {
+    getProfiles, getActiveProfile, getProfile, selectProfile, createProfile, deleteProfile,
+    setThreshold, resetProfile,
+    startCalibration, cancelCalibration, isCalibrating, addFrame,
+};
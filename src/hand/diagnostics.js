@@ -0,0 +1,104 @@
+/**
+ * diagnostics.js — Gesture diagnostics layer for the camera preview.
+ *
+ * Drawn over the landmarks on output_canvas (hands.js) when enabled from the
+ * panel, so users can see which threshold a pose is missing:
+ *   per hand   — finger up/down states and the OK-sign pinch distance
+ *   two hands  — frame ring size and symmetry against their limits
+ *   per slot   — raw classification vs. the debounced gesture, with debounce
+ *                and cooldown progress bars
+ *
+ * The preview is mirrored with CSS, so text is drawn through a flipped
+ * transform to read the right way round; landmark positions are mirrored to match.
+ */
+
+import { getThresholds, measureHand, measureCircle } from './gestures.js';
+
+const FONT   = 'bold 14px "Courier New", monospace';
+const LINE   = 17;
+const OK     = '#00ff88';
+const MISSED = '#ff5555';
+const FINGERS = [['index', 'I'], ['middle', 'M'], ['ring', 'R'], ['pinky', 'P']];
+
+function label(ctx, text, x, y, color = '#fff') {
+    const width = ctx.measureText(text).width;
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(x - 3, y - 2, width + 6, LINE);
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+    return x + width + 8;
+}
+
+function bar(ctx, x, y, width, progress, color) {
+    ctx.fillStyle = 'rgba(255,255,255,0.15)';
+    ctx.fillRect(x, y, width, 5);
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, width * progress, 5);
+}
+
+// Finger states + pinch, under the wrist
+function drawHand(ctx, lm, width, height) {
+    const hand = measureHand(lm);
+    if (!hand) return;
+    const { pinch } = getThresholds();
+
+    const x = (1 - lm[0].x) * width - 60;
+    let   y = Math.min(lm[0].y * height + 10, height - LINE * 2);
+
+    let cursor = x;
+    for (const [finger, letter] of FINGERS) {
+        cursor = label(ctx, `${letter}${hand[finger] ? '▲' : '▼'}`, cursor, y, hand[finger] ? OK : MISSED);
+    }
+    y += LINE + 2;
+    label(ctx, `pinch ${hand.pinch.toFixed(2)} < ${pinch.toFixed(2)}`, x, y,
+        hand.pinch < pinch ? OK : MISSED);
+}
+
+// Two-hand frame measurements, at the top center
+function drawCircle(ctx, lmA, lmB, width) {
+    const circle = measureCircle(lmA, lmB);
+    if (!circle) return;
+
+    const { circleMinSize: min, circleMaxSize: max, circleSymmetry } = getThresholds();
+    const next = label(ctx, `ring ${circle.ringSize.toFixed(2)} in ${min.toFixed(2)}–${max.toFixed(2)}`, width / 2 - 150, 8,
+        circle.sizeOK ? OK : MISSED);
+    label(ctx, `sym ${circle.symmetry.toFixed(2)} < ${circleSymmetry.toFixed(2)}`, next, 8,
+        circle.symmetryOK ? OK : MISSED);
+}
+
+// Raw vs. debounced gesture and timer bars, one block per slot (bottom left)
+function drawSlot(ctx, name, diag, x, y) {
+    const { debounce, cooldown } = getThresholds();
+    const pending = diag.raw !== diag.confirmed;
+    label(ctx, `${name}: ${diag.pose} → ${diag.raw}`, x, y, pending ? '#ffdd55' : '#fff');
+    label(ctx, `active: ${diag.confirmed}`, x, y + LINE + 2);
+    bar(ctx, x, y + LINE * 2 + 6, 140, diag.debounce, '#00ffff');
+    bar(ctx, x, y + LINE * 2 + 14, 140, diag.cooldown, '#ff8800');
+    ctx.fillStyle = '#aaa';
+    ctx.fillText(`debounce ${debounce} / cooldown ${cooldown} ms`, x + 146, y + LINE * 2 + 4);
+}
+
+/**
+ * Draw the diagnostics layer (after the landmarks).
+ * @param {CanvasRenderingContext2D} ctx — output_canvas context
+ * @param {Array} multiLandmarks — every visible hand
+ * @param {Array<[string, Object]>} slots — [slot name, detector.getDiagnostics()] per active slot
+ */
+export function drawDiagnostics(ctx, multiLandmarks, slots) {
+    const { width, height } = ctx.canvas;
+    const hands = multiLandmarks || [];
+
+    ctx.save();
+    ctx.setTransform(-1, 0, 0, 1, width, 0);   // undo the preview's mirroring for text
+    ctx.font         = FONT;
+    ctx.textBaseline = 'top';
+
+    for (const lm of hands) drawHand(ctx, lm, width, height);
+    if (hands.length === 2) drawCircle(ctx, hands[0], hands[1], width);
+
+    const blockHeight = LINE * 2 + 24;
+    slots.forEach(([name, diag], k) => {
+        drawSlot(ctx, name, diag, 10, height - blockHeight * (slots.length - k));
+    });
+    ctx.restore();
+}
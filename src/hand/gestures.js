@@ -1,27 +1,44 @@
 /**
- * gestures.js — Gesture classification with hand-scale normalization,
- * debouncing (150ms stable), and cooldown (400ms between switches).
+ * gestures.js — Pose classification with hand-scale normalization,
+ * debouncing (150ms stable), and cooldown (400ms between switches) by default;
+ * every threshold can be tuned with setThresholds().
  * Black Flash releases bypass cooldown for timing mechanic.
  *
- * Supported gestures:
- *   'purple'       — OK sign (thumb + index pinched, middle/ring/pinky extended)
- *   'blackflash'   — Middle finger only (middle up, others down)
- *   'shrine'       — Open hand / Prayer gesture (all four fingers extended, flat palm)
- *   'void'         — Index + Middle up, ring down
- *   'red'          — Index up only
- *   'cleave'       — Pinky only (pinky up, others down)
- *   'simpledomain' — Circle with both hands (index + thumb tips form ring)
- *   'neutral'      — Default / no clear gesture
+ * Classification helpers are pure; all timing state lives in detector
+ * instances from createGestureDetector(), which take an injectable clock.
+ *
+ * The classifier emits neutral pose names; a detector maps them to technique
+ * names through a `resolve` function (see bindings.js) before debouncing.
+ *
+ * Poses:
+ *   'ok_sign'        — thumb + index pinched, middle/ring/pinky extended
+ *   'middle_only'    — middle up, others down
+ *   'open_hand'      — all four fingers extended, flat palm
+ *   'index_middle'   — index + middle up, ring down
+ *   'index_only'     — index up, middle down
+ *   'pinky_only'     — pinky up, others down
+ *   'index_pinky'    — index + pinky up, middle/ring down
+ *   'two_hand_frame' — both hands, index + thumb tips form a ring / frame
+ *   'none'           — no hand / no clear pose
  */
 
-const DEBOUNCE_MS = 150; // Reduced from 200ms for faster response
-const COOLDOWN_MS = 400; // Reduced from 500ms
+import { NO_POSE, resolveDefault } from './bindings.js';
+
+/**
+ * Default thresholds. The live set (getThresholds / setThresholds) is tuned per
+ * user by calibration profiles (see calibration.js).
+ */
+const DEFAULT_THRESHOLDS = Object.freeze({
+    debounce:       150,   // ms a new gesture must be stable (reduced from 200ms for faster response)
+    cooldown:       400,   // ms between switches (reduced from 500ms)
+    twoHandHold:    150,   // ms of hysteresis before a two-hand gesture drops to single-hand
+    pinch:          0.28,  // OK sign: thumb–index tip gap / hand scale
+    circleSymmetry: 0.3,   // Two-hand frame: |index gap − thumb gap| / ring size
+    circleMinSize:  0.6,   // Two-hand frame: ring size / hand scale
+    circleMaxSize:  2.5,
+});
 
-let lastConfirmed    = 'neutral';
-let candidate        = 'neutral';
-let candidateStart   = 0;
-let lastSwitchTime   = 0;
-let lastTwoHandTime  = 0; // Hysteresis for two-hand gestures
+const thresholds = { ...DEFAULT_THRESHOLDS };
 
 let glowColor = '#00ffff';
 
@@ -45,75 +62,63 @@ function fingerUp(lm, tip, pip) {
 
 // ── Single-hand classification ──
 
-function classify(lm) {
+/**
+ * The measurements classify() decides on: finger states and the normalized
+ * thumb–index pinch distance. Null when the hand is too small to judge.
+ * @returns {{ scale: number, index: boolean, middle: boolean, ring: boolean,
+ *             pinky: boolean, pinch: number } | null}
+ */
+function measureHand(lm) {
     const scale = handScale(lm);
-    if (scale < 0.01) return 'neutral';
-
-    // Finger states
-    const idx = fingerUp(lm, 8,  6);
-    const mid = fingerUp(lm, 12, 10);
-    const rng = fingerUp(lm, 16, 14);
-    const pnk = fingerUp(lm, 20, 18);
+    if (scale < 0.01) return null;
 
-    // Black Flash: middle finger only (others down)
-    if (mid && !idx && !rng && !pnk) return 'blackflash';
-
-    // Cleave: pinky only (others down)
-    if (pnk && !idx && !mid && !rng) return 'cleave';
+    return {
+        scale,
+        index:  fingerUp(lm, 8,  6),
+        middle: fingerUp(lm, 12, 10),
+        ring:   fingerUp(lm, 16, 14),
+        pinky:  fingerUp(lm, 20, 18),
+        pinch:  Math.hypot(lm[8].x - lm[4].x, lm[8].y - lm[4].y) / scale,
+    };
+}
 
-    // OK sign (purple): thumb + index pinched, other 3 fingers extended
-    const pinch = Math.hypot(lm[8].x - lm[4].x, lm[8].y - lm[4].y) / scale;
-    if (pinch < 0.28 && mid && rng && pnk) return 'purple';
+function classify(lm) {
+    const hand = measureHand(lm);
+    if (!hand) return NO_POSE;
 
-    // Other finger-up combos
-    if (idx && mid && rng && pnk) return 'shrine';
-    if (idx && mid && !rng)       return 'void';
-    if (idx && !mid)              return 'red';
+    // Finger states
+    const { index: idx, middle: mid, ring: rng, pinky: pnk } = hand;
 
-    return 'neutral';
-}
+    // Middle finger only (others down)
+    if (mid && !idx && !rng && !pnk) return 'middle_only';
 
-// ── Multi-hand: pick the largest (closest / most confident) hand ──
+    // Pinky only (others down)
+    if (pnk && !idx && !mid && !rng) return 'pinky_only';
 
-function classifyBest(multiLandmarks) {
-    if (!multiLandmarks || multiLandmarks.length === 0) return 'neutral';
+    // Index + pinky (middle/ring down)
+    if (idx && pnk && !mid && !rng)  return 'index_pinky';
 
-    // Check for two-hand circle gesture FIRST
-    if (multiLandmarks.length === 2) {
-        const circle = detectCircle(multiLandmarks[0], multiLandmarks[1]);
-        if (circle) {
-            lastTwoHandTime = performance.now();
-            return 'simpledomain';
-        }
-    }
-    
-    // Hysteresis: if we just had two hands, don't immediately drop to single-hand
-    const now = performance.now();
-    if (now - lastTwoHandTime < 150 && lastConfirmed === 'simpledomain') {
-        return 'simpledomain';
-    }
+    // OK sign: thumb + index pinched, other 3 fingers extended
+    if (hand.pinch < thresholds.pinch && mid && rng && pnk) return 'ok_sign';
 
-    // Single-hand gestures
-    let best = 'neutral';
-    let bestScale = 0;
+    // Other finger-up combos
+    if (idx && mid && rng && pnk) return 'open_hand';
+    if (idx && mid && !rng)       return 'index_middle';
+    if (idx && !mid)              return 'index_only';
 
-    for (const lm of multiLandmarks) {
-        const s = handScale(lm);
-        if (s > bestScale) {
-            bestScale = s;
-            best = classify(lm);
-        }
-    }
-    return best;
+    return NO_POSE;
 }
 
 /**
- * Detect circle gesture with both hands
+ * The measurements detectCircle() decides on: ring size (normalized by hand
+ * scale) and symmetry of the index / thumb gaps, each with its verdict.
+ * Null when either hand is too small to judge.
+ * @returns {{ ringSize: number, symmetry: number, sizeOK: boolean, symmetryOK: boolean } | null}
  */
-function detectCircle(lmA, lmB) {
+function measureCircle(lmA, lmB) {
     const scaleA = handScale(lmA);
     const scaleB = handScale(lmB);
-    if (scaleA < 0.01 || scaleB < 0.01) return false;
+    if (scaleA < 0.01 || scaleB < 0.01) return null;
     
     const scale = (scaleA + scaleB) / 2;
     
@@ -138,45 +143,217 @@ function detectCircle(lmA, lmB) {
     const symmetry = Math.abs(dIndex - dThumb) / (ringSize || 1);
     
     // Thresholds
-    const symmetryOK = symmetry < 0.3;
-    const sizeOK = ringSizeN > 0.6 && ringSizeN < 2.5;
-    
-    return symmetryOK && sizeOK;
+    const symmetryOK = symmetry < thresholds.circleSymmetry;
+    const sizeOK = ringSizeN > thresholds.circleMinSize && ringSizeN < thresholds.circleMaxSize;
+
+    return { ringSize: ringSizeN, symmetry, sizeOK, symmetryOK };
 }
 
-// ── Public API ──
+/**
+ * Detect circle gesture with both hands
+ */
+function detectCircle(lmA, lmB) {
+    const circle = measureCircle(lmA, lmB);
+    return circle !== null && circle.sizeOK && circle.symmetryOK;
+}
+
+// ── Per-hand split ──
 
 /**
- * Main entry point — call once per MediaPipe frame.
- * Returns the debounced, cooldown-gated gesture string.
+ * Assign detected hands to the user's left / right hand.
+ * MediaPipe labels handedness as if the image were mirrored (selfie view);
+ * our frames are not, so its 'Left' is the user's right hand — which the
+ * mirrored preview also shows on the right. The larger hand wins if both
+ * get the same label.
+ * @returns {{ left: Array | null, right: Array | null }}
  */
-function detectGesture(multiLandmarks) {
-    const now = performance.now();
-    const raw = classifyBest(multiLandmarks);
-
-    // Cooldown: ignore changes that come too soon after the last switch
-    // EXCEPT when releasing Black Flash (allow fast release for timing mechanic)
-    const allowFastRelease = lastConfirmed === 'blackflash' && raw !== 'blackflash';
-    if (!allowFastRelease && now - lastSwitchTime < COOLDOWN_MS && raw !== lastConfirmed) {
-        return lastConfirmed;
+function splitHands(multiLandmarks, multiHandedness) {
+    const hands = { left: null, right: null };
+    if (!multiLandmarks) return hands;
+
+    multiLandmarks.forEach((lm, k) => {
+        const label = multiHandedness && multiHandedness[k] ? multiHandedness[k].label : null;
+        const side  = label === 'Left' ? 'right' : label === 'Right' ? 'left' : null;
+        if (!side) return;
+        if (!hands[side] || handScale(lm) > handScale(hands[side])) hands[side] = lm;
+    });
+    return hands;
+}
+
+// ── Detector (stateful: debounce, cooldown, two-hand hysteresis) ──
+
+/**
+ * Create an independent gesture detector.
+ * All timing goes through `now`, so tests and replays can drive it with
+ * recorded or synthetic timestamps instead of the wall clock.
+ * `resolve` maps a pose name to a technique name (defaults to the stock bindings).
+ * `model` is an optional learned classifier (see trainer.js) consulted before
+ * the rule-based classify(); its predict() returns a pose name or null.
+ * @param {{
+ *   now?: () => number,
+ *   resolve?: (pose: string) => string,
+ *   model?: { predict: (lm: Array) => string | null } | null,
+ * }} [options]
+ */
+function createGestureDetector({ now = () => performance.now(), resolve = resolveDefault, model = null } = {}) {
+    let lastConfirmed   = 'neutral';
+    let candidate       = 'neutral';
+    let candidateStart  = 0;
+    let lastSwitchTime  = -Infinity;
+    let lastTwoHandTime = -Infinity;
+    let lastPose        = NO_POSE;     // latest classification, before debouncing
+    let lastRaw         = 'neutral';   // … resolved to a technique
+
+    // ── Multi-hand: pick the largest (closest / most confident) hand ──
+
+    function classifyBest(multiLandmarks, t = now()) {
+        if (!multiLandmarks || multiLandmarks.length === 0) return NO_POSE;
+
+        // Check for two-hand circle gesture FIRST
+        if (multiLandmarks.length === 2) {
+            const circle = detectCircle(multiLandmarks[0], multiLandmarks[1]);
+            if (circle) {
+                lastTwoHandTime = t;
+                return 'two_hand_frame';
+            }
+        }
+
+        // Hysteresis: if we just had two hands, don't immediately drop to single-hand
+        if (t - lastTwoHandTime < thresholds.twoHandHold && lastConfirmed === resolve('two_hand_frame')) {
+            return 'two_hand_frame';
+        }
+
+        // Single-hand gestures
+        let best = NO_POSE;
+        let bestScale = 0;
+
+        for (const lm of multiLandmarks) {
+            const s = handScale(lm);
+            if (s > bestScale) {
+                bestScale = s;
+                best = (model && model.predict(lm)) || classify(lm);
+            }
+        }
+        return best;
     }
 
-    // Debounce: candidate must be stable for DEBOUNCE_MS
-    if (raw !== candidate) {
-        candidate      = raw;
-        candidateStart = now;
+    /**
+     * Main entry point — call once per MediaPipe frame.
+     * Returns the debounced, cooldown-gated technique name.
+     */
+    function detectGesture(multiLandmarks) {
+        const t    = now();
+        const pose = classifyBest(multiLandmarks, t);
+        const raw  = pose === NO_POSE ? 'neutral' : resolve(pose);
+        lastPose = pose;
+        lastRaw  = raw;
+
+        // Cooldown: ignore changes that come too soon after the last switch
+        // EXCEPT when releasing Black Flash (allow fast release for timing mechanic)
+        const allowFastRelease = lastConfirmed === 'blackflash' && raw !== 'blackflash';
+        if (!allowFastRelease && t - lastSwitchTime < thresholds.cooldown && raw !== lastConfirmed) {
+            return lastConfirmed;
+        }
+
+        // Debounce: candidate must be stable for thresholds.debounce ms
+        if (raw !== candidate) {
+            candidate      = raw;
+            candidateStart = t;
+            return lastConfirmed;
+        }
+
+        if (t - candidateStart >= thresholds.debounce && candidate !== lastConfirmed) {
+            lastConfirmed  = candidate;
+            lastSwitchTime = t;
+        }
+
         return lastConfirmed;
     }
 
-    if (now - candidateStart >= DEBOUNCE_MS && candidate !== lastConfirmed) {
-        lastConfirmed  = candidate;
-        lastSwitchTime = now;
+    /**
+     * Forget all debounce / cooldown / hysteresis history.
+     */
+    function reset() {
+        lastConfirmed   = 'neutral';
+        candidate       = 'neutral';
+        candidateStart  = 0;
+        lastSwitchTime  = -Infinity;
+        lastTwoHandTime = -Infinity;
+        lastPose        = NO_POSE;
+        lastRaw         = 'neutral';
+    }
+
+    function getState() {
+        return { lastConfirmed, candidate, candidateStart, lastSwitchTime, lastTwoHandTime };
+    }
+
+    /**
+     * Raw vs. debounced result of the latest frame, plus timer progress (0–1):
+     * `debounce` — how long the pending candidate has been stable,
+     * `cooldown` — how much of the post-switch cooldown is left.
+     */
+    function getDiagnostics() {
+        const t = now();
+        return {
+            pose:      lastPose,
+            raw:       lastRaw,
+            confirmed: lastConfirmed,
+            candidate,
+            debounce:  candidate !== lastConfirmed ? Math.min((t - candidateStart) / thresholds.debounce, 1) : 0,
+            cooldown:  Math.max(1 - (t - lastSwitchTime) / thresholds.cooldown, 0),
+        };
     }
 
-    return lastConfirmed;
+    return { classifyBest, detectGesture, reset, getState, getDiagnostics };
+}
+
+/**
+ * Run recorded frames ({ t, multiHandLandmarks }) through a fresh detector
+ * driven by their own timestamps. Returns every confirmed gesture change.
+ * Deterministic — no wall clock involved.
+ * @param {Array} frames
+ * @param {{ resolve?: (pose: string) => string }} [options]
+ * @returns {Array<{ t: number, gesture: string }>}
+ */
+function detectSession(frames, { resolve } = {}) {
+    let t = 0;
+    const detector = createGestureDetector({ now: () => t, resolve });
+    const changes  = [];
+    let current    = 'neutral';
+
+    for (const frame of frames) {
+        t = frame.t;
+        const gesture = detector.detectGesture(frame.multiHandLandmarks);
+        if (gesture !== current) {
+            current = gesture;
+            changes.push({ t, gesture });
+        }
+    }
+    return changes;
 }
 
+// ── Public API ──
+
 function getGlowColor()       { return glowColor; }
 function setGlowColor(color)  { glowColor = color; }
 
-export { detectGesture, getGlowColor, setGlowColor };
+function getThresholds() {
+    return { ...thresholds };
+}
+
+/**
+ * Replace some or all thresholds (keys of DEFAULT_THRESHOLDS; others are ignored).
+ * Applies to every detector from their next frame.
+ */
+function setThresholds(next) {
+    for (const key of Object.keys(DEFAULT_THRESHOLDS)) {
+        if (Number.isFinite(next[key])) thresholds[key] = next[key];
+    }
+}
+
+export {
+    DEFAULT_THRESHOLDS,
+    handScale, fingerUp, measureHand, classify, measureCircle, detectCircle, splitHands,
+    createGestureDetector, detectSession,
+    getGlowColor, setGlowColor, getThresholds, setThresholds,
+};
@@ -1,23 +1,154 @@
 /**
  * hands.js — MediaPipe Hands initialization, camera feed loop,
  * and overlay landmark drawing on the preview canvas.
+ *
+ * Also records hand-landmark sessions to JSON and replays them back through
+ * the same gesture pipeline (no webcam needed). Load a recording on startup
+ * with `?replay=path/to/session.json`.
+ *
+ * In per-hand mode each of the user's hands gets its own detector and the
+ * gesture callback receives the hand ('left' | 'right') as its slot; otherwise
+ * every gesture goes to the 'main' slot. Two-hand poses need the combined
+ * view, so they only fire outside per-hand mode.
+ *
+ * The latest landmarks of each slot's visible hands are kept for anchoring
+ * techniques to the hands (see anchors.js).
+ *
+ * With diagnostics on, the preview also shows the measurements behind each
+ * classification and the debounce / cooldown timers (see diagnostics.js).
  */
 
-import { detectGesture, getGlowColor } from './gestures.js';
+import { createGestureDetector, handScale, splitHands, getGlowColor } from './gestures.js';
+import { resolvePose } from './bindings.js';
+import { drawDiagnostics } from './diagnostics.js';
+import * as trainer from './trainer.js';
+import * as calibration from './calibration.js';
+import * as profiler from '../core/profiler.js';
+import { downloadBlob } from '../core/download.js';
+
+const SESSION_VERSION = 1;
+
+const HANDS = ['left', 'right'];
 
 let gestureCallback = null;
-let currentGesture  = 'neutral';
+let perHand         = false;
+let diagnostics     = false;
+const currentGestures = { main: 'neutral', left: 'neutral', right: 'neutral' };
+const visibleHands    = { main: [], left: [], right: [] };
+
+/**
+ * One detector per slot. `now` is the clock (undefined = wall clock).
+ */
+function createDetectors(now) {
+    const options = { now, resolve: resolvePose, model: trainer };
+    return {
+        main:  createGestureDetector(options),
+        left:  createGestureDetector(options),
+        right: createGestureDetector(options),
+    };
+}
+
+// Live detectors run on the wall clock; replays swap in ones driven by recorded timestamps
+const liveDetectors = createDetectors();
+let detectors       = liveDetectors;
+
+let canvasEl = null;
+let ctx      = null;
+
+// ── Recorder / replay state ──
+let recording   = null;   // active session being captured, or null
+let replayTimer = null;   // pending setTimeout id while a replay runs
+
+/**
+ * Shared results handler for the live camera and for replays.
+ * @param {{ multiHandLandmarks?: Array, multiHandedness?: Array }} results
+ */
+function handleResults(results) {
+    ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
+
+    if (recording) captureFrame(results);
+    if (trainer.isCapturing()) captureTrainingFrame(results.multiHandLandmarks);
+    if (calibration.isCalibrating()) calibration.addFrame(results.multiHandLandmarks);
+
+    // Draw landmarks
+    if (results.multiHandLandmarks) {
+        const color = getGlowColor();
+        for (const lm of results.multiHandLandmarks) {
+            window.drawConnectors(ctx, lm, window.HAND_CONNECTIONS, { color, lineWidth: 5 });
+            window.drawLandmarks(ctx, lm, { color: '#fff', lineWidth: 1, radius: 2 });
+        }
+    }
+
+    visibleHands.main = results.multiHandLandmarks || [];
+
+    // Detect gestures (debounced + cooldown)
+    if (perHand) {
+        const hands = splitHands(results.multiHandLandmarks, results.multiHandedness);
+        for (const hand of HANDS) {
+            const lm = hands[hand];
+            visibleHands[hand] = lm ? [lm] : [];
+            reportGesture(hand, detectors[hand].detectGesture(lm ? [lm] : []));
+        }
+    } else {
+        reportGesture('main', detectors.main.detectGesture(results.multiHandLandmarks));
+    }
+
+    if (diagnostics) {
+        const slots = perHand ? HANDS : ['main'];
+        drawDiagnostics(ctx, results.multiHandLandmarks, slots.map((slot) => [slot, detectors[slot].getDiagnostics()]));
+    }
+}
+
+function reportGesture(slot, gesture) {
+    if (gesture === currentGestures[slot]) return;
+    currentGestures[slot] = gesture;
+    if (gestureCallback) gestureCallback(gesture, slot);
+}
+
+/**
+ * Switch between one combined gesture ('main' slot) and one per hand.
+ * All detectors restart from neutral.
+ */
+function setPerHand(enabled) {
+    perHand = enabled;
+    for (const set of new Set([liveDetectors, detectors])) {
+        for (const detector of Object.values(set)) detector.reset();
+    }
+    for (const slot of Object.keys(currentGestures)) currentGestures[slot] = 'neutral';
+}
+
+function isPerHand() {
+    return perHand;
+}
+
+/**
+ * Show / hide the gesture diagnostics layer on the camera preview.
+ */
+function setDiagnostics(enabled) {
+    diagnostics = enabled;
+}
 
 /**
  * Initialize MediaPipe Hands + Camera utils.
- * @param {(gesture: string) => void} onGestureChange — called when gesture changes
+ * @param {(gesture: string, slot: 'main' | 'left' | 'right') => void} onGestureChange
+ *   — called when a slot's gesture changes
  */
 function init(onGestureChange) {
     gestureCallback = onGestureChange;
 
-    const videoEl  = document.querySelector('.input_video');
-    const canvasEl = document.getElementById('output_canvas');
-    const ctx      = canvasEl.getContext('2d');
+    const videoEl = document.querySelector('.input_video');
+    canvasEl      = document.getElementById('output_canvas');
+    ctx           = canvasEl.getContext('2d');
+
+    // Camera-less mode: replay a recorded session instead of starting the webcam
+    const replayUrl = new URLSearchParams(location.search).get('replay');
+    if (replayUrl) {
+        fetch(replayUrl)
+            .then((res) => res.json())
+            .then((session) => replaySession(session, { loop: true }))
+            .catch((err) => console.error(`[hands] Could not load replay "${replayUrl}":`, err));
+        return;
+    }
 
     // MediaPipe Hands (loaded as global from CDN)
     const hands = new window.Hands({
@@ -31,32 +162,17 @@ function init(onGestureChange) {
         minTrackingConfidence:  0.5,
     });
 
-    hands.onResults((results) => {
-        ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
+    hands.onResults(handleResults);
 
-        // Draw landmarks
-        if (results.multiHandLandmarks) {
-            const color = getGlowColor();
-            for (const lm of results.multiHandLandmarks) {
-                window.drawConnectors(ctx, lm, window.HAND_CONNECTIONS, { color, lineWidth: 5 });
-                window.drawLandmarks(ctx, lm, { color: '#fff', lineWidth: 1, radius: 2 });
-            }
-        }
-
-        // Detect gesture (debounced + cooldown)
-        const gesture = detectGesture(results.multiHandLandmarks);
-        if (gesture !== currentGesture) {
-            currentGesture = gesture;
-            if (gestureCallback) gestureCallback(gesture);
-        }
-    });
-
-    // Camera feed
+    // Camera feed (paused while a replay drives the pipeline)
     const cam = new window.Camera(videoEl, {
         onFrame: async () => {
+            if (replayTimer !== null) return;
             canvasEl.width  = videoEl.videoWidth;
             canvasEl.height = videoEl.videoHeight;
-            await hands.send({ image: videoEl });
+            const start = performance.now();
+            await hands.send({ image: videoEl });   // resolves once handleResults has run
+            profiler.trackingSample(performance.now() - start);
         },
         width:  640,
         height: 480,
@@ -64,8 +180,159 @@ function init(onGestureChange) {
     cam.start();
 }
 
-function getCurrentGesture() {
-    return currentGesture;
+// ── Trainer capture ──
+
+/**
+ * Feed the largest visible hand to the pose trainer.
+ */
+function captureTrainingFrame(multiLandmarks) {
+    if (!multiLandmarks || multiLandmarks.length === 0) return;
+    let best = multiLandmarks[0];
+    for (const lm of multiLandmarks) {
+        if (handScale(lm) > handScale(best)) best = lm;
+    }
+    trainer.addFrame(best);
+}
+
+// ── Recorder ──
+
+function captureFrame(results) {
+    const landmarks  = results.multiHandLandmarks || [];
+    const handedness = results.multiHandedness || [];
+
+    recording.frames.push({
+        t: performance.now() - recording.start,
+        multiHandLandmarks: landmarks.map((lm) => lm.map(({ x, y, z }) => ({ x, y, z }))),
+        multiHandedness:    handedness.map(({ index, score, label }) => ({ index, score, label })),
+    });
+}
+
+/**
+ * Start capturing every MediaPipe result into memory.
+ */
+function startRecording() {
+    recording = {
+        start:  performance.now(),
+        width:  canvasEl ? canvasEl.width  : 640,
+        height: canvasEl ? canvasEl.height : 480,
+        frames: [],
+    };
+}
+
+/**
+ * Stop capturing and return the session as a plain, JSON-serializable object.
+ * @returns {{ version: number, recordedAt: string, width: number, height: number, frames: Array } | null}
+ */
+function stopRecording() {
+    if (!recording) return null;
+    const session = {
+        version:    SESSION_VERSION,
+        recordedAt: new Date().toISOString(),
+        width:      recording.width,
+        height:     recording.height,
+        frames:     recording.frames,
+    };
+    recording = null;
+    return session;
+}
+
+function isRecording() {
+    return recording !== null;
+}
+
+/**
+ * Save a session as a .json download.
+ */
+function downloadSession(session, filename = `sat0ru-session-${Date.now()}.json`) {
+    downloadBlob(new Blob([JSON.stringify(session)], { type: 'application/json' }), filename);
+}
+
+// ── Replay ──
+
+/**
+ * Feed a recorded session back through gesture detection + the gesture callback,
+ * preserving the original inter-frame timing. Detection runs on the recorded
+ * timestamps, so a replay confirms the same gestures every time regardless of
+ * timer jitter. The live camera is ignored until the replay ends or
+ * stopReplay() is called.
+ * @param {object} session — object produced by stopRecording()
+ * @param {{ loop?: boolean, onEnd?: () => void }} [options]
+ */
+function replaySession(session, { loop = false, onEnd = null } = {}) {
+    if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.frames)) {
+        throw new Error('[hands] Unsupported session file');
+    }
+    stopReplay();
+
+    canvasEl.width  = session.width;
+    canvasEl.height = session.height;
+
+    const { frames } = session;
+    let index      = 0;
+    let loopOffset = 0;   // keeps the replay clock monotonic across loops
+    let clock      = 0;
+    detectors = createDetectors(() => clock);
+
+    const step = () => {
+        if (index >= frames.length) {
+            if (loop && frames.length > 0) {
+                loopOffset = clock;
+                index = 0;
+            } else {
+                stopReplay();
+                if (onEnd) onEnd();
+                return;
+            }
+        }
+
+        const frame = frames[index];
+        clock = loopOffset + frame.t;
+        handleResults(frame);
+
+        index++;
+        const next  = frames[index];
+        const delay = next ? next.t - frame.t : 0;
+        replayTimer = setTimeout(step, Math.max(0, delay));
+    };
+
+    replayTimer = setTimeout(step, 0);
+}
+
+function stopReplay() {
+    if (replayTimer !== null) {
+        clearTimeout(replayTimer);
+        replayTimer = null;
+    }
+    if (detectors !== liveDetectors) {
+        detectors = liveDetectors;
+        for (const detector of Object.values(liveDetectors)) detector.reset();
+    }
+}
+
+function isReplaying() {
+    return replayTimer !== null;
+}
+
+function getCurrentGesture(slot = 'main') {
+    return currentGestures[slot];
+}
+
+/**
+ * Landmarks of the hands a slot currently sees ('main': all of them).
+ */
+function getHands(slot = 'main') {
+    return visibleHands[slot] || [];
+}
+
+/**
+ * Webcam frame width / height (landmark coordinates are normalized to it).
+ */
+function getImageAspect() {
+    return canvasEl && canvasEl.height > 0 ? canvasEl.width / canvasEl.height : 4 / 3;
 }
 
-export { init, getCurrentGesture };
+export {
+    init, getCurrentGesture, getHands, getImageAspect, setPerHand, isPerHand, setDiagnostics,
+    startRecording, stopRecording, isRecording, downloadSession,
+    replaySession, stopReplay, isReplaying,
+};
@@ -0,0 +1,194 @@
+/**
+ * trainer.js — Custom pose trainer with a learned k-nearest-neighbour model.
+ *
+ * While capturing, the largest hand of each MediaPipe frame is translated to
+ * the wrist, divided by handScale() and stored as a labelled sample. The
+ * samples ARE the model: predict() votes among the k closest ones and rejects
+ * poses that are too far from anything it has seen. Persisted to localStorage.
+ *
+ * Learned labels are pose names like the built-in ones, so they show up in
+ * the bindings table and can be mapped to any technique. A built-in name is
+ * refused: predict() runs before classify() and would shadow that pose.
+ */
+
+import { handScale } from './gestures.js';
+import { POSES, NO_POSE } from './bindings.js';
+
+const STORAGE_KEY    = 'sat0ru.trainer';
+const MODEL_VERSION  = 1;
+const K              = 5;
+const REJECT_DIST    = 1.2;   // max mean neighbour distance (in hand-scale units)
+const CAPTURE_FRAMES = 60;
+const VECTOR_LENGTH  = 21 * 3;          // landmarks × xyz
+const LABEL_PATTERN  = /^[a-z0-9_]+$/;  // as produced by toPoseName()
+
+let samples = loadSamples();   // [{ label, vec: number[] }]
+let capture = null;            // { label, remaining, total, onProgress, onDone }
+
+// ── Persistence ──
+
+function loadSamples() {
+    if (typeof localStorage === 'undefined') return [];
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return saved && saved.version === MODEL_VERSION && Array.isArray(saved.samples)
+            ? saved.samples.filter(isSample)
+            : [];
+    } catch {
+        return [];
+    }
+}
+
+// A stored sample is only trusted with a usable label and a full landmark vector
+function isSample(s) {
+    return s !== null && typeof s === 'object' &&
+        typeof s.label === 'string' && LABEL_PATTERN.test(s.label) && !isReserved(s.label) &&
+        Array.isArray(s.vec) && s.vec.length === VECTOR_LENGTH && s.vec.every(Number.isFinite);
+}
+
+function saveSamples() {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: MODEL_VERSION, samples }));
+}
+
+// ── Features ──
+
+/**
+ * Wrist-relative, hand-scale-normalized landmark vector (21 × xyz).
+ * @returns {number[] | null} null when the hand is too small to trust
+ */
+function normalizeLandmarks(lm) {
+    const scale = handScale(lm);
+    if (scale < 0.01) return null;
+
+    const vec = new Array(lm.length * 3);
+    for (let i = 0; i < lm.length; i++) {
+        vec[i * 3]     = (lm[i].x - lm[0].x) / scale;
+        vec[i * 3 + 1] = (lm[i].y - lm[0].y) / scale;
+        vec[i * 3 + 2] = (lm[i].z - lm[0].z) / scale;
+    }
+    return vec;
+}
+
+function distance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
+    }
+    return Math.sqrt(sum);
+}
+
+// ── Model ──
+
+/**
+ * Classify one hand against the learned samples.
+ * @returns {string | null} learned pose label, or null if unknown / no model
+ */
+function predict(lm) {
+    if (samples.length === 0) return null;
+    const vec = normalizeLandmarks(lm);
+    if (!vec) return null;
+
+    const nearest = samples
+        .map((s) => ({ label: s.label, d: distance(vec, s.vec) }))
+        .sort((a, b) => a.d - b.d)
+        .slice(0, K);
+
+    const meanDist = nearest.reduce((sum, n) => sum + n.d, 0) / nearest.length;
+    if (meanDist > REJECT_DIST) return null;
+
+    // Majority vote, ties broken by the closest neighbour
+    const votes = new Map();
+    for (const n of nearest) votes.set(n.label, (votes.get(n.label) || 0) + 1);
+
+    let best = nearest[0].label;
+    for (const [label, count] of votes) {
+        if (count > votes.get(best)) best = label;
+    }
+    return best;
+}
+
+// ── Capture ──
+
+/**
+ * Turn a free-text name into a pose name ("Crossed Fingers" → "crossed_fingers").
+ */
+function toPoseName(name) {
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Whether a pose name is taken by a built-in pose (or would shadow an object key).
+ */
+function isReserved(pose) {
+    return pose === NO_POSE || Object.hasOwn(POSES, pose) || pose in Object.prototype;
+}
+
+/**
+ * Start capturing the next `frames` hand frames under `label`.
+ * @param {string} label
+ * @param {{ frames?: number, onProgress?: (done: number, total: number) => void, onDone?: (label: string) => void }} [options]
+ */
+function startCapture(label, { frames = CAPTURE_FRAMES, onProgress = null, onDone = null } = {}) {
+    const pose = toPoseName(label);
+    if (!pose) throw new Error('[trainer] Pose name is empty');
+    if (isReserved(pose)) throw new Error(`[trainer] "${pose}" is a built-in pose name`);
+    capture = { label: pose, remaining: frames, total: frames, onProgress, onDone };
+}
+
+function cancelCapture() {
+    capture = null;
+}
+
+function isCapturing() {
+    return capture !== null;
+}
+
+/**
+ * Feed one hand while capturing (called by hands.js for every frame).
+ */
+function addFrame(lm) {
+    if (!capture) return;
+    const vec = normalizeLandmarks(lm);
+    if (!vec) return;
+
+    samples.push({ label: capture.label, vec });
+    capture.remaining--;
+    if (capture.onProgress) capture.onProgress(capture.total - capture.remaining, capture.total);
+
+    if (capture.remaining <= 0) {
+        const { label, onDone } = capture;
+        capture = null;
+        saveSamples();
+        if (onDone) onDone(label);
+    }
+}
+
+// ── Model management ──
+
+/**
+ * Learned labels with their sample counts.
+ * @returns {Array<{ label: string, count: number }>}
+ */
+function getLabels() {
+    const counts = new Map();
+    for (const s of samples) counts.set(s.label, (counts.get(s.label) || 0) + 1);
+    return [...counts].map(([label, count]) => ({ label, count }));
+}
+
+function removeLabel(label) {
+    samples = samples.filter((s) => s.label !== label);
+    saveSamples();
+}
+
+function clearModel() {
+    samples = [];
+    saveSamples();
+}
+
+export {
+    normalizeLandmarks, predict,
+    startCapture, cancelCapture, isCapturing, addFrame,
+    getLabels, removeLabel, clearModel,
+};
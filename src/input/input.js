@@ -0,0 +1,93 @@
+/**
+ * input.js — Input sources in front of the gesture callback.
+ *
+ * Hand tracking (hand/hands.js), the keyboard (keyboard.js) and the mouse
+ * (mouse.js) each report a gesture — a technique name — per slot, and main.js
+ * receives one onGestureChange stream whichever source it came from. All
+ * sources run side by side: a slot follows the source that most recently
+ * picked a technique, falls back to the next one still holding one when that
+ * source lets go, and returns to neutral once none do.
+ *
+ * In per-hand mode the keyboard drives the right hand's slot and a mouse
+ * press drives the slot on its half of the screen.
+ */
+
+import * as handTracking from '../hand/hands.js';
+import * as keyboard from './keyboard.js';
+import * as mouse from './mouse.js';
+
+const SLOTS = ['main', 'left', 'right'];
+
+let gestureCallback = null;
+let perHand         = false;
+const held            = {};   // slot → [{ source, gesture }], most recent last
+const currentGestures = {};
+
+function clear() {
+    for (const slot of SLOTS) {
+        held[slot]            = [];
+        currentGestures[slot] = 'neutral';
+    }
+}
+clear();
+
+/**
+ * A source's gesture for a slot changed ('neutral' = it let go).
+ * @param {'hands' | 'keyboard' | 'mouse'} source
+ */
+function report(source, gesture, slot) {
+    const list = held[slot];
+    if (!list) return;
+
+    const k = list.findIndex((entry) => entry.source === source);
+    if (k !== -1) list.splice(k, 1);
+    if (gesture !== 'neutral') list.push({ source, gesture });
+
+    const next = list.length > 0 ? list[list.length - 1].gesture : 'neutral';
+    if (next === currentGestures[slot]) return;
+    currentGestures[slot] = next;
+    if (gestureCallback) gestureCallback(next, slot);
+}
+
+// ── Public API ──
+
+/**
+ * Start every input source.
+ * @param {(gesture: string, slot: 'main' | 'left' | 'right') => void} onGestureChange
+ *   — called when a slot's gesture changes
+ */
+function init(onGestureChange) {
+    gestureCallback = onGestureChange;
+
+    handTracking.init((gesture, slot) => report('hands', gesture, slot));
+    keyboard.init((gesture) => report('keyboard', gesture, perHand ? 'right' : 'main'));
+    mouse.init((gesture, side) => report('mouse', gesture, perHand ? side : 'main'));
+}
+
+/**
+ * Switch between the 'main' slot and one per hand. Every source lets go.
+ */
+function setPerHand(enabled) {
+    perHand = enabled;
+    keyboard.reset();
+    mouse.reset();
+    clear();
+    handTracking.setPerHand(enabled);
+}
+
+function getCurrentGesture(slot = 'main') {
+    return currentGestures[slot];
+}
+
+/**
+ * Where the mouse aims a blade in a slot, in world space, or null — only while
+ * the mouse is the source the slot follows.
+ * @returns {{ center: import('three').Vector3, normal: import('three').Vector3 } | null}
+ */
+function getAim(slot = 'main') {
+    const list = held[slot];
+    const top  = list.length > 0 ? list[list.length - 1] : null;
+    return top && top.source === 'mouse' ? mouse.getAim() : null;
+}
+
+export { init, setPerHand, getCurrentGesture, getAim };
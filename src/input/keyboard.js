@@ -0,0 +1,89 @@
+/**
+ * keyboard.js — Keyboard input source.
+ *
+ * Number keys latch a technique: tap to switch to it, tap it again (or
+ * Escape / 0) to go back to neutral. Black Flash is held on Space like the
+ * fist: press to charge, release to strike, so its timing window plays the
+ * same as with hand tracking. Events go out the moment the key moves — no
+ * debounce.
+ *
+ * Keys typed into panel text / number fields are left alone.
+ */
+
+/** KeyboardEvent.code → technique. */
+export const KEYS = {
+    Digit1: 'red',
+    Digit2: 'blue',
+    Digit3: 'purple',
+    Digit4: 'void',
+    Digit5: 'shrine',
+    Digit6: 'cleave',
+    Digit7: 'simpledomain',
+};
+export const HOLD_KEY     = 'Space';   // held for Black Flash
+export const RELEASE_KEYS = ['Escape', 'Digit0'];
+
+const TYPING = ['text', 'number', 'search'];
+
+let reportGesture = null;
+let latched       = 'neutral';   // technique picked with a number key
+let holding       = false;       // HOLD_KEY is down
+
+function isTyping(target) {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && TYPING.includes(target.type);
+}
+
+function current() {
+    return holding ? 'blackflash' : latched;
+}
+
+function onKeyDown(e) {
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+
+    if (e.code === HOLD_KEY) {
+        holding = true;
+    } else if (KEYS[e.code]) {
+        latched = latched === KEYS[e.code] ? 'neutral' : KEYS[e.code];
+    } else if (RELEASE_KEYS.includes(e.code)) {
+        latched = 'neutral';
+    } else {
+        return;
+    }
+    e.preventDefault();   // no page scroll / button press on Space
+    reportGesture(current());
+}
+
+function onKeyUp(e) {
+    if (e.code !== HOLD_KEY || !holding) return;
+    holding = false;
+    reportGesture(current());
+}
+
+// ── Public API ──
+
+/**
+ * Start listening.
+ * @param {(gesture: string) => void} report — called with the keyboard's gesture on every change
+ */
+function init(report) {
+    reportGesture = report;
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', onKeyUp);
+    window.addEventListener('blur', () => {   // key-ups are lost while unfocused
+        if (current() === 'neutral') return;
+        reset();
+        reportGesture('neutral');
+    });
+}
+
+/**
+ * Let go of everything (without reporting).
+ */
+function reset() {
+    latched = 'neutral';
+    holding = false;
+}
+
+export { init, reset };
@@ -0,0 +1,102 @@
+/**
+ * mouse.js — Mouse input source: click-drag on the scene to aim Cleave.
+ *
+ * Pressing the left button on the scene holds Cleave; releasing lets go.
+ * Dragging aims its blades: each new slice cuts along the line from the press
+ * point to the cursor (the blade plane contains that line and the view
+ * direction). Until the drag is long enough, blades fall at random as with a
+ * hand.
+ *
+ * Screen points are projected onto the plane through the scene center facing
+ * the camera, the same plane hand anchors use (hand/anchors.js).
+ */
+
+import * as THREE from 'three';
+import { camera, renderer } from '../core/renderer.js';
+import * as photo from '../core/photo.js';
+import { toScene } from '../hand/anchors.js';
+
+const TECHNIQUE = 'cleave';
+const DRAG_MIN  = 12;   // px before a drag aims the blade
+
+let reportGesture = null;
+let drag          = null;   // { pointerId, side, startX, startY, x, y }
+
+const start = new THREE.Vector3();
+const end   = new THREE.Vector3();
+const view  = new THREE.Vector3();
+
+// Client pixels → scene point (anchors.toScene mirrors video coordinates, so un-mirror x)
+function screenToScene(clientX, clientY, target) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const u    = (clientX - rect.left) / rect.width;
+    const v    = (clientY - rect.top) / rect.height;
+    return toScene({ x: 1 - u, y: v }, camera, camera.aspect, 0, target);
+}
+
+function onPointerDown(e) {
+    if (e.button !== 0 || drag || photo.isActive()) return;
+    const rect = renderer.domElement.getBoundingClientRect();
+    drag = {
+        pointerId: e.pointerId,
+        side:      e.clientX - rect.left < rect.width / 2 ? 'left' : 'right',
+        startX:    e.clientX, startY: e.clientY,
+        x:         e.clientX, y:      e.clientY,
+    };
+    renderer.domElement.setPointerCapture(e.pointerId);
+    reportGesture(TECHNIQUE, drag.side);
+}
+
+function onPointerMove(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+}
+
+function onPointerUp(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const { side } = drag;
+    drag = null;
+    reportGesture('neutral', side);
+}
+
+// ── Public API ──
+
+/**
+ * Start listening on the scene canvas.
+ * @param {(gesture: string, side: 'left' | 'right') => void} report — called on press / release;
+ *   `side` is the half of the screen the press started on
+ */
+function init(report) {
+    reportGesture = report;
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerUp);
+}
+
+/**
+ * The blade the current drag aims, in world space, or null (no drag, or too short).
+ * @returns {{ center: THREE.Vector3, normal: THREE.Vector3 } | null}
+ */
+function getAim() {
+    if (!drag || Math.hypot(drag.x - drag.startX, drag.y - drag.startY) < DRAG_MIN) return null;
+
+    screenToScene(drag.startX, drag.startY, start);
+    screenToScene(drag.x, drag.y, end);
+    camera.getWorldDirection(view);
+    return {
+        center: start.clone().add(end).multiplyScalar(0.5),
+        normal: end.clone().sub(start).cross(view).normalize(),
+    };
+}
+
+/**
+ * Forget the current drag (without reporting).
+ */
+function reset() {
+    drag = null;
+}
+
+export { init, getAim, reset };
@@ -2,309 +2,497 @@
  * main.js — Application bootstrap + animation loop.
  *
  * Wires together: renderer, particles, hand tracking, techniques, UI panel.
- * Manages the technique state machine including Black Flash's special lifecycle.
+ * Drives every technique through the lifecycle contract in techniques/lifecycle.js,
+ * including queued switches while a technique cannot be interrupted, and feeds
+ * confirmed gestures + technique events to the combo tracker.
+ *
+ * Techniques run in slots: one 'main' slot covering the whole scene, or — in
+ * per-hand mode — a 'left' and a 'right' slot, each with its own technique
+ * instance, particle group (half the budget) and side of the scene.
+ *
+ * Techniques with a `config.anchor` (hand/anchors.js) follow the slot's hand(s):
+ * the slot's scene anchor eases towards the resolved point every frame and
+ * drifts back to the slot's home when the hand is lost.
+ *
+ * Each slot's ctx.camera plays the technique's camera tracks (core/choreo.js);
+ * `config.camera.enter` plays on every switch. ctx.audio plays its sounds
+ * (core/audio.js) panned to the slot's side; `config.sound` loops while active.
+ *
+ * In photo mode (core/photo.js) the loop only orbits and renders: no
+ * simulation, no technique updates, no gesture switches.
+ *
+ * Gestures arrive through input/input.js, which merges hand tracking with the
+ * keyboard and mouse fallbacks; ctx.aim carries the mouse's Cleave aim.
  */
 
 import * as renderer     from './core/renderer.js';
 import * as particles    from './core/particles.js';
+import * as clips        from './core/clips.js';
+import * as clock        from './core/clock.js';
+import * as photo        from './core/photo.js';
+import * as choreo       from './core/choreo.js';
+import * as audio        from './core/audio.js';
+import * as postfx       from './core/postfx.js';
+import * as random       from './core/random.js';
+import * as governor     from './core/governor.js';
+import * as profiler     from './core/profiler.js';
 import * as handTracking from './hand/hands.js';
+import * as input        from './input/input.js';
 import { setGlowColor }  from './hand/gestures.js';
+import { resolveAnchor } from './hand/anchors.js';
+import { on, emit }      from './core/events.js';
 import { techniques }    from './techniques/index.js';
-import * as blackflash   from './techniques/blackflash.js';
-import * as cleave       from './techniques/cleave.js';
-import * as simpledomain from './techniques/simpledomain.js';
+import { createComboTracker } from './techniques/combos.js';
+import { getTransition }  from './techniques/transitions.js';
 import { createPanel, settings } from './ui/panel.js';
+import { updateProfilerHud } from './ui/profilerhud.js';
+import { updateComboHud, announceCombo } from './ui/combohud.js';
+
+const SLOT_OFFSET_X = 24;   // per-hand slots sit this far either side of center
+const ANCHOR_FOLLOW = 0.15;  // per-frame easing of anchored techniques towards the hand
+
+const SLOT_LAYOUTS = {
+    single:  [{ name: 'main', x: 0 }],
+    perHand: [{ name: 'left', x: -SLOT_OFFSET_X }, { name: 'right', x: SLOT_OFFSET_X }],
+};
+const SLOT_PAN = { main: 0, left: -0.6, right: 0.6 };   // stereo position of each slot's sounds
 
 // ── State ──
-let currentTechnique = 'neutral';
-let pendingTechnique = null;          // queued switch while BF impact plays
-let bfImpulseApplied = false;         // one-shot impulse flag for BF impact
+let slots   = [];
+let perHand = false;
+let settingsPending = false;          // changed during photo mode, applied on exit
+
+const comboTracker = createComboTracker();
+const timedStates  = new Map();       // combo states ('zone', …) → expiry time
 
 const flashOverlay = document.getElementById('flash-overlay');
 const nameEl       = document.getElementById('technique-name');
 
-// ── Apply a technique (targets + visuals) ──
+// ── HUD helpers handed to techniques ──
+
+/**
+ * Show every slot's label: styled directly when there is one slot,
+ * side by side when each hand has its own.
+ */
+function renderLabels() {
+    if (slots.length === 1) {
+        const { text, color, shadow, fontSize } = slots[0].label;
+        nameEl.innerText        = text;
+        nameEl.style.color      = color;
+        nameEl.style.textShadow = shadow;
+        nameEl.style.fontSize   = fontSize;
+        return;
+    }
+
+    nameEl.style.color      = '';
+    nameEl.style.textShadow = '';
+    nameEl.style.fontSize   = '';
+    nameEl.innerHTML = slots
+        .map(({ label }) => `<span style="color:${label.color};text-shadow:${label.shadow};font-size:${label.fontSize}">${label.text}</span>`)
+        .join(' ▪ ');
+}
+
+function createHud(slot) {
+    return {
+        setLabel(text, color, { glow = 10, shadow = null, fontSize = '1.2rem' } = {}) {
+            slot.label = { text, color, shadow: shadow || `0 0 ${glow}px ${color}`, fontSize };
+            renderLabels();
+        },
+        setFontSize(fontSize) {
+            slot.label.fontSize = fontSize;
+            renderLabels();
+        },
+        flash(opacity, duration = 80) {
+            flashOverlay.style.opacity = String(opacity);
+            setTimeout(() => { flashOverlay.style.opacity = '0'; }, duration);
+        },
+    };
+}
+
+/**
+ * Camera tracks played from a slot scale with the technique intensity, aim
+ * relative to the slot's anchor, and are only cut short by the same slot.
+ */
+function createCamera(slot, group) {
+    return {
+        play(track, scale = 1) {
+            choreo.play(track, {
+                scale:  scale * settings.techniqueIntensity,
+                origin: group.anchor.position,
+                owner:  slot.name,
+            });
+        },
+        release() {
+            choreo.release(slot.name);
+        },
+    };
+}
+
+/**
+ * Sounds played from a slot go to the running technique's channel (so the
+ * panel's per-technique toggles apply) and sit on the slot's side.
+ */
+function createAudio(slot) {
+    const tag = (params) => ({
+        ...params,
+        channel: slot.technique,
+        pan:     SLOT_PAN[slot.name] + (params.pan || 0),
+    });
+    return {
+        play(name, params = {}) {
+            audio.play(name, tag(params));
+        },
+        loop(name, params = {}) {
+            return audio.loop(name, tag(params));
+        },
+    };
+}
+
+function hasState(name) {
+    const expiry = timedStates.get(name);
+    if (expiry === undefined) return false;
+    if (clock.now() < expiry) return true;
+    timedStates.delete(name);
+    return false;
+}
+
+// ── Slots ──
+
+function createSlot(name, group) {
+    const slot = {
+        name,
+        technique:        null,
+        variant:          null,
+        instance:         null,
+        pendingTechnique: null,   // queued switch while the technique can't be interrupted
+        pendingVariant:   null,
+        anchorKind:       null,   // config.anchor of the running technique
+        ambient:          null,   // config.sound loop of the running technique
+        home:             group.anchor.position.clone(),
+        label:            { text: '', color: '', shadow: '', fontSize: '1.2rem' },
+    };
+    slot.ctx = {
+        slot: name, particles: group, anchor: group.anchor,
+        renderer, settings, hud: createHud(slot), camera: createCamera(slot, group),
+        audio: createAudio(slot), hasState, aim: null,
+    };
+    return slot;
+}
 
-function applyTechnique(name) {
+function findSlot(name) {
+    return slots.find((slot) => slot.name === name) || null;
+}
+
+/**
+ * Rebuild the slots for single or per-hand mode; every slot restarts at neutral.
+ */
+function setLayout(enabled) {
+    for (const slot of slots) exitTechnique(slot);
+
+    perHand = enabled;
+    const layout = enabled ? SLOT_LAYOUTS.perHand : SLOT_LAYOUTS.single;
+    particles.setGroupCount(layout.length);
+
+    slots = layout.map(({ name, x }, k) => {
+        const group = particles.getGroup(k);
+        group.anchor.position.set(x, 0, 0);
+        group.anchor.scale.setScalar(1);
+        return createSlot(name, group);
+    });
+
+    input.setPerHand(enabled);
+    for (const slot of slots) switchTechnique(slot, 'neutral');
+}
+
+// ── Switch a slot's technique ──
+
+/**
+ * Tear down the slot's running technique and what main.js started for it.
+ */
+function exitTechnique(slot) {
+    slot.instance.exit(slot.ctx);
+    slot.ctx.particles.clearFields();
+    slot.ctx.camera.release();
+    if (slot.ambient) slot.ambient.stop();
+    slot.ambient = null;
+}
+
+function switchTechnique(slot, name, variant = null) {
     const tech = techniques[name];
     if (!tech) return;
 
-    nameEl.innerText = tech.config.displayName;
-    nameEl.style.color = tech.config.glowColor;
-    nameEl.style.textShadow = `0 0 10px ${tech.config.glowColor}`;
-    setGlowColor(tech.config.glowColor);
+    const previous = slot.technique;
+    if (slot.instance) exitTechnique(slot);
+    slot.technique        = name;
+    slot.variant          = variant;
+    slot.instance         = tech.create();
+    slot.pendingTechnique = null;
+    slot.pendingVariant   = null;
+
+    const config = tech.getConfig(variant);
+    slot.anchorKind = config.anchor || null;
+    slot.ctx.hud.setLabel(config.displayName, config.glowColor);
+    setGlowColor(config.glowColor);
+    postfx.setGrade(config.grade);
+    slot.ctx.particles.startTransition(getTransition(previous, name, config));
+    slot.instance.enter(slot.ctx, variant);
+    if (config.camera) slot.ctx.camera.play(config.camera.enter);
+    if (config.sound)  slot.ambient = slot.ctx.audio.loop(config.sound);
+}
+
+/**
+ * Switch now if the slot's technique allows it, otherwise queue the switch.
+ */
+function requestTechnique(slot, name, variant = null) {
+    if (!techniques[name]) return;
+    if (name === slot.technique && variant === slot.variant) return;
 
-    // Black Flash, Cleave, and Simple Domain manage their own bloom/shake/targets dynamically
-    if (name !== 'blackflash' && name !== 'cleave' && name !== 'simpledomain') {
-        renderer.setBloom(tech.config.bloomStrength * settings.bloomMultiplier);
-        renderer.setShake(tech.config.shakeIntensity * (settings.shakeEnabled ? 1 : 0));
-        renderer.cameraDolly(tech.config.cameraDolly * settings.techniqueIntensity);
+    const tech = slot.instance;
+    tech.release(slot.ctx);
 
-        particles.setActiveCount(settings.activeParticles);
-        particles.setTargets(tech.generate);
-        particles.clearVelocities(); // Clear any residual velocity from Black Flash
+    if (tech.canInterrupt()) {
+        switchTechnique(slot, name, variant);
+    } else {
+        slot.pendingTechnique = name;
+        slot.pendingVariant   = variant;
     }
 }
 
-// ── Gesture change handler ──
+// ── Combos ──
 
-function onGestureChange(gesture) {
-    if (gesture === currentTechnique) return;
-
-    // If Black Flash is mid-impact, queue the switch
-    if (currentTechnique === 'blackflash') {
-        const phase = blackflash.getState().phase;
-        if (phase === 'charge') {
-            // Releasing during charge → trigger impact, queue next technique
-            blackflash.deactivate();
-            pendingTechnique = gesture;
-            return;
-        }
-        if (phase === 'impact') {
-            pendingTechnique = gesture;
-            return;
-        }
-        // settle or idle — switch immediately
-        blackflash.reset();
-    }
+/**
+ * Feed a token to the combo tracker and apply a completed combo's result.
+ * Technique results land in the slot whose token completed the combo.
+ * @returns {boolean} true if the combo took over the technique switch
+ */
+function feedCombo(token, slot) {
+    const combo = comboTracker.push(token);
+    if (!combo) return false;
 
-    // If Cleave is active and gesture changes, reset it properly
-    if (currentTechnique === 'cleave' && gesture !== 'cleave') {
-        cleave.reset();
-    }
+    announceCombo(combo);
+    emit('combo', { combo });
 
-    // If Simple Domain is active and gesture changes, immediately clean up
-    if (currentTechnique === 'simpledomain' && gesture !== 'simpledomain') {
-        simpledomain.cleanup();
+    const { result } = combo;
+    if (result.state) {
+        timedStates.set(result.state, clock.now() + result.duration);
+        return false;
     }
+    if (!slot) return false;
+    requestTechnique(slot, result.technique, result.variant || null);
+    return true;
+}
 
-    currentTechnique = gesture;
-
-    if (gesture === 'blackflash') {
-        blackflash.activate();
-        bfImpulseApplied = false;
-        particles.clearVelocities(); // Start with clean slate
-        // Set initial visual cues
-        nameEl.innerText = 'Black Flash — CHARGING...';
-        nameEl.style.color = '#ffffff';
-        nameEl.style.textShadow = '0 0 15px #ffffff';
-        nameEl.style.fontSize = '1.2rem';
-        setGlowColor('#ffffff');
-    }
+on('blackflash:impact', ({ perfect, slot }) => {
+    feedCombo(perfect ? 'blackflash:perfect' : 'blackflash:miss', findSlot(slot));
+});
 
-    if (gesture === 'cleave') {
-        cleave.activate();
-        particles.clearVelocities(); // Start with clean slate
-        nameEl.innerText = 'Cleave';
-        nameEl.style.color = '#ff4444';
-        nameEl.style.textShadow = '0 0 15px #ff4444';
-        nameEl.style.fontSize = '1.2rem';
-        setGlowColor('#ff4444');
-        renderer.cameraDolly(-1 * settings.techniqueIntensity);
-    }
+// ── Gesture change handler ──
 
-    if (gesture === 'simpledomain') {
-        simpledomain.activate();
-        nameEl.innerText = 'Simple Domain';
-        nameEl.style.color = '#88ddff';
-        nameEl.style.textShadow = '0 0 15px #88ddff';
-        nameEl.style.fontSize = '1.2rem';
-        setGlowColor('#88ddff');
-    }
+function onGestureChange(gesture, slotName = 'main') {
+    const slot = findSlot(slotName);
+    if (!slot) return;   // stale event from the previous layout
+    if (photo.isActive()) return;
 
-    applyTechnique(gesture);
+    if (feedCombo(gesture, slot)) return;
+    if (gesture === slot.technique) return;
+    requestTechnique(slot, gesture);
 }
 
 // ── Settings change callback ──
 
 function onSettingsChange() {
     renderer.setShakeEnabled(settings.shakeEnabled);
-    // Re-apply current technique with new settings
-    if (currentTechnique !== 'blackflash' && currentTechnique !== 'cleave' && currentTechnique !== 'simpledomain') {
-        applyTechnique(currentTechnique);
+    particles.setSpriteShape(settings.spriteShape);
+    clips.configure({ pip: settings.clipPip, overlay: settings.clipOverlay, autoClip: settings.autoClip });
+    audio.configure({ volume: settings.soundVolume, muted: settings.soundMuted, channels: settings.soundChannels });
+    profiler.setEnabled(settings.profiler);
+    handTracking.setDiagnostics(settings.gestureDiagnostics);
+    postfx.configure({
+        grain:     settings.grainEnabled,     grainAmount:     settings.grainAmount,
+        chromatic: settings.chromaticEnabled, chromaticAmount: settings.chromaticAmount,
+        vignette:  settings.vignetteEnabled,  vignetteAmount:  settings.vignetteAmount,
+        grade:     settings.gradeEnabled,     gradeIntensity:  settings.gradeIntensity,
+    });
+
+    // Don't disturb the frozen scene
+    if (photo.isActive()) {
+        settingsPending = true;
+        return;
     }
-}
 
-// ── Animation loop ──
+    random.setSeed(settings.seed);   // static techniques pick it up below
+    governor.configure({ enabled: settings.autoQuality, targetFps: settings.targetFps });
 
-function animate() {
-    requestAnimationFrame(animate);
+    if (settings.perHand !== perHand) {
+        setLayout(settings.perHand);
+        return;
+    }
+    for (const slot of slots) slot.instance.applySettings(slot.ctx);
+}
 
-    const tech = techniques[currentTechnique];
-
-    // ── Black Flash special handling ──
-    if (currentTechnique === 'blackflash') {
-        blackflash.updatePhase();
-        const bfState = blackflash.getState();
-
-        // Show charge progress during charge phase
-        if (bfState.phase === 'charge') {
-            const elapsed = performance.now() - bfState.startTime;
-            const inWindow = elapsed >= 200 && elapsed <= 600;
-            const progress = Math.min(100, (elapsed / 800) * 100).toFixed(0);
-            
-            if (inWindow) {
-                nameEl.innerText = `Black Flash — ✓ PERFECT WINDOW (${progress}%)`;
-                nameEl.style.color = '#00ff00';
-                nameEl.style.textShadow = '0 0 20px #00ff00';
-            } else {
-                nameEl.innerText = `Black Flash — CHARGING (${progress}%)`;
-                nameEl.style.color = '#ffffff';
-                nameEl.style.textShadow = '0 0 15px #ffffff';
-            }
-        }
+// ── Adaptive quality ──
 
-        // Animated phases: re-generate targets every frame
-        if (bfState.phase === 'charge' || bfState.phase === 'impact') {
-            particles.setActiveCount(settings.activeParticles);
-            particles.setTargets(blackflash.generate);
-        }
+// A new particle budget only reaches static techniques when they re-target
+on('quality', () => {
+    for (const slot of slots) slot.instance.retarget(slot.ctx);
+});
 
-        // Settle phase: also animate (flickering)
-        if (bfState.phase === 'settle') {
-            particles.setActiveCount(settings.activeParticles);
-            particles.setTargets(blackflash.generate);
-        }
+// ── Photo mode ──
 
-        // One-shot impulse at impact start
-        if (bfState.phase === 'impact' && !bfImpulseApplied) {
-            bfImpulseApplied = true;
-            particles.applyImpulse(bfState.perfect ? 4.5 : 2.0);
-            renderer.setShake(bfState.perfect ? 1.8 : 0.9);
-
-            // Fullscreen flash
-            flashOverlay.style.opacity = bfState.perfect ? '0.9' : '0.5';
-            setTimeout(() => { flashOverlay.style.opacity = '0'; }, 80);
-
-            // Update display for perfect variant
-            if (bfState.perfect) {
-                nameEl.innerText = 'BLACK FLASH ▪ PERFECT';
-                nameEl.style.fontSize = '1.5rem';
-                nameEl.style.color = '#ffff00';
-                nameEl.style.textShadow = '0 0 20px #ffff00, 0 0 40px #ffff00';
-                // Reset after 2 seconds
-                setTimeout(() => {
-                    nameEl.style.fontSize = '1.2rem';
-                }, 2000);
-            } else {
-                nameEl.innerText = 'BLACK FLASH';
-            }
-        }
+on('photo', ({ active }) => {
+    if (active) return;
+    if (settingsPending) {
+        settingsPending = false;
+        onSettingsChange();
+    }
+    // Catch up with gestures made while frozen (not fed to combos)
+    for (const slot of slots) {
+        const gesture = input.getCurrentGesture(slot.name);
+        if (gesture !== slot.technique) requestTechnique(slot, gesture);
+    }
+});
 
-        if (bfState.phase !== 'impact') {
-            bfImpulseApplied = false;
-        }
+// ── Hand anchoring ──
 
-        // Dynamic bloom override
-        const bloomOvr = blackflash.getBloomOverride();
-        if (bloomOvr !== null) {
-            renderer.bloomPass.strength = bloomOvr * settings.bloomMultiplier;
-        }
+/**
+ * Ease the slot's scene anchor towards its technique's hand anchor, or home.
+ */
+function followHands(slot) {
+    const { anchor } = slot.ctx;
+    const target = slot.anchorKind && settings.followHands
+        ? resolveAnchor(slot.anchorKind, handTracking.getHands(slot.name), renderer.camera, handTracking.getImageAspect())
+        : null;
+
+    anchor.position.lerp(target ? target.position : slot.home, ANCHOR_FOLLOW);
+    const scale = anchor.scale.x + ((target ? target.scale : 1) - anchor.scale.x) * ANCHOR_FOLLOW;
+    anchor.scale.setScalar(scale);
+}
 
-        // Dynamic shake override
-        const shakeOvr = blackflash.getShakeOverride();
-        if (shakeOvr !== null && settings.shakeEnabled) {
-            renderer.setShake(shakeOvr);
-        }
+// ── Mouse aim ──
 
-        // Transition out of settle when a new gesture is queued
-        if (bfState.phase === 'settle' && pendingTechnique) {
-            currentTechnique = pendingTechnique;
-            pendingTechnique = null;
-            blackflash.reset();
-            bfImpulseApplied = false;
-            applyTechnique(currentTechnique);
-        }
+/**
+ * The mouse's blade aim for the slot in its particle space ([x, y, z] arrays), or null.
+ */
+function resolveAim(slot) {
+    const aim = input.getAim(slot.name);
+    if (!aim) return null;
+
+    const pivot = slot.ctx.particles.getPoints();
+    pivot.updateWorldMatrix(true, false);
+    const center = pivot.worldToLocal(aim.center.clone());
+    const normal = pivot.worldToLocal(aim.center.add(aim.normal)).sub(center).normalize();
+    return { center: center.toArray(), normal: normal.toArray() };
+}
 
-        // Also auto-transition if gesture changed during impact and impact is done
-        if (bfState.phase === 'settle' && pendingTechnique === null) {
-            // Stay in settle — waiting for next gesture change
-        }
-    }
+// ── Animation loop ──
 
-    // ── Cleave special handling ──
-    if (currentTechnique === 'cleave') {
-        cleave.updatePhase();
-        const cleaveState = cleave.getState();
+// Strongest of two optional overrides
+function maxOverride(a, b) {
+    if (b === null) return a;
+    return a === null ? b : Math.max(a, b);
+}
 
-        // Animated phases: re-generate targets every frame (continuous while active)
-        if (cleaveState.phase === 'slicing' || cleaveState.phase === 'settle') {
-            particles.setActiveCount(settings.activeParticles);
-            particles.setTargets(cleave.generate);
-        }
+// Per-key strongest of two optional post-fx overrides
+function mergePostOverride(a, b) {
+    if (b === null) return a;
+    if (a === null) return { ...b };
+    for (const key in b) a[key] = Math.max(a[key] || 0, b[key]);
+    return a;
+}
 
-        // Apply plane-based impulses for active slices
-        if (cleaveState.phase === 'slicing' || cleaveState.phase === 'settle') {
-            const slices = cleave.getActiveSlices();
-            for (const slice of slices) {
-                particles.applyPlaneImpulse(
-                    slice.center,
-                    slice.normal,
-                    slice.strength * settings.techniqueIntensity,
-                    slice.width
-                );
-            }
-        }
+function animate() {
+    requestAnimationFrame(animate);
 
-        // Dynamic bloom override
-        const bloomOvr = cleave.getBloomOverride();
-        if (bloomOvr !== null) {
-            renderer.bloomPass.strength = bloomOvr * settings.bloomMultiplier;
+    if (photo.isActive()) {
+        photo.update();
+        renderer.render();
+        clips.captureFrame();
+        return;
+    }
+    const frameStart = performance.now();
+
+    let bloomOvr = null;
+    let shakeOvr = null;
+    let postOvr  = null;
+
+    for (const slot of slots) {
+        const { ctx } = slot;
+        let tech = slot.instance;
+
+        // ── Technique phase logic ──
+        profiler.begin('techniques');
+        ctx.aim = resolveAim(slot);
+        tech.update(ctx);
+        profiler.end('techniques');
+
+        // Animated techniques re-generate targets every frame
+        if (tech.isAnimated()) {
+            profiler.begin('setTargets');
+            ctx.particles.setActiveCount(settings.activeParticles);
+            ctx.particles.setTargets(tech.generate);
+            profiler.end('setTargets');
         }
 
-        // Shake bursts on slice activation
-        if (cleave.shouldShake() && settings.shakeEnabled) {
-            renderer.setShake(0.5 * settings.techniqueIntensity);
-        }
-    }
+        profiler.begin('techniques');
+        tech.applyImpulses(ctx);
+        profiler.end('techniques');
 
-    // ── Simple Domain special handling ──
-    if (currentTechnique === 'simpledomain') {
-        simpledomain.updatePhase();
-        const sdState = simpledomain.getState();
+        // ── Dynamic bloom / shake / post-fx overrides (strongest slot wins) ──
+        bloomOvr = maxOverride(bloomOvr, tech.getBloomOverride());
+        postOvr  = mergePostOverride(postOvr, tech.getPostOverride());
+        if (settings.shakeEnabled) shakeOvr = maxOverride(shakeOvr, tech.getShakeOverride(ctx));
 
-        // Animated phases: re-generate targets every frame
-        if (sdState.phase !== 'idle') {
-            particles.setActiveCount(settings.activeParticles);
-            particles.setTargets(simpledomain.generate);
+        // ── Queued switch once the technique allows it ──
+        if (slot.pendingTechnique && tech.canInterrupt()) {
+            switchTechnique(slot, slot.pendingTechnique, slot.pendingVariant);
+            tech = slot.instance;
         }
 
-        // Set bloom during active phase
-        if (sdState.phase === 'growing' || sdState.phase === 'active') {
-            renderer.bloomPass.strength = 2.8 * settings.bloomMultiplier;
-        }
-    } else {
-        // Make absolutely sure Simple Domain visuals are hidden when not active
-        simpledomain.cleanup();
-    }
+        followHands(slot);
 
-    // ── Continuous shake for all active techniques ──
-    if (tech && currentTechnique !== 'neutral' && currentTechnique !== 'blackflash' && currentTechnique !== 'cleave' && currentTechnique !== 'simpledomain' && settings.shakeEnabled) {
-        // Refresh shake every frame to keep it sustained (Black Flash handles its own shake dynamically)
-        renderer.setShake(tech.config.shakeIntensity * settings.techniqueIntensity);
+        // ── Rotation + interpolation settings for this slot's particles ──
+        tech.updateRotation(ctx.particles.getPoints());
+        ctx.particles.setMotion(tech.getLerpFactor(), tech.usesVelocity());
     }
 
-    // ── Rotation ──
-    if (tech) {
-        tech.updateRotation(particles.getPoints());
-    }
+    if (bloomOvr !== null) renderer.bloomPass.strength = bloomOvr * settings.bloomMultiplier;
+    if (shakeOvr !== null) renderer.setShake(shakeOvr);
+    postfx.update(postOvr);
+
+    updateComboHud(comboTracker.getProgress());
 
     // ── Particle interpolation ──
-    const isBlackFlash = currentTechnique === 'blackflash';
-    const isCleave = currentTechnique === 'cleave';
-    const isSimpleDomain = currentTechnique === 'simpledomain';
-    const isImpact = isBlackFlash && blackflash.getState().phase === 'impact';
-    const lerpFactor = isImpact ? 0.2 : 0.1;
-    particles.update(lerpFactor, isBlackFlash || isCleave); // Use velocity for Black Flash and Cleave
-
-    // ── Renderer transitions + composite ──
+    profiler.begin('particles.update');
+    particles.update();
+    profiler.end('particles.update');
+
+    // ── Camera choreography, renderer transitions + composite ──
+    choreo.update();
+    profiler.begin('renderer.update');
     renderer.update();
+    profiler.end('renderer.update');
+    profiler.begin('composer.render');
     renderer.render();
+    profiler.end('composer.render');
+    governor.update(performance.now() - frameStart, frameStart);
+    clips.captureFrame();
+
+    if (profiler.isEnabled()) profiler.endFrame(describeSlots());
+    updateProfilerHud({ targetFps: settings.targetFps });
+}
+
+// What each slot is running, for the profiler HUD
+function describeSlots() {
+    return slots.map((slot) => {
+        const state = slot.instance.getState ? slot.instance.getState() : null;
+        return `${slot.name}: ${slot.technique}${state && state.phase ? ` (${state.phase})` : ''}`;
+    }).join('   ');
 }
 
 // ── Bootstrap ──
 
 createPanel(onSettingsChange);
-applyTechnique('neutral');
-handTracking.init(onGestureChange);
+setLayout(settings.perHand);
+onSettingsChange();   // settings restored from the last session
+input.init(onGestureChange);
 animate();
@@ -0,0 +1,168 @@
+/**
+ * Cursed Technique Lapse: Blue — attraction
+ *
+ * A collapsing singularity that drags everything in. Unlike Red's static
+ * spiral, the pull is physical: a point attractor and a vortex (force fields,
+ * see core/particles.js) give particles real velocity toward and around the
+ * core (usesVelocity), so they overshoot and get caught again.
+ *
+ *   FORMING    → core condenses, the pull ramps up (0–600ms)
+ *   COLLAPSING → pulsing core + accretion disk, debris streaming in from the
+ *                cosmos and fading out at the core, until the gesture changes
+ *
+ * Uses deterministic per-particle hashing so generate() can be called
+ * every frame without random jitter.
+ */
+
+import * as clock from '../core/clock.js';
+import { hash } from '../core/random.js';
+
+export const config = {
+    name:           'blue',
+    displayName:    'Cursed Technique Lapse: Blue',
+    glowColor:      '#3399ff',
+    bloomStrength:  2.6,
+    shakeIntensity: 0.3,
+    cameraDolly:    -2,
+    anchor:         'indexTip',
+    transition:     { style: 'implode', order: 'edge', duration: 900, stagger: 0.4, ease: 'outQuad' },
+};
+
+// ── Phases ──
+
+const FORM_DURATION = 600;      // ms — pull ramps up over this
+const PULL_MIN      = 0.1;      // attractor strength while forming
+const PULL_MAX      = 0.22;     // … once fully collapsed
+const SPIN          = 0.06;     // vortex strength around the disk's axis
+const DEBRIS_SPEED  = 0.00025;  // debris orbits per ms (fraction of the fall per ms)
+const DEBRIS_RADIUS = 120;      // where debris starts falling from
+
+function clamp01(v) { return v < 0 ? 0 : v > 1 ? 1 : v; }
+
+/**
+ * A fresh, independent instance (one per hand in per-hand mode).
+ */
+export function create() {
+    const state = {
+        phase:     'idle',   // idle | forming | collapsing
+        startTime: 0,
+        pull:      null,     // point attractor field
+        spin:      null,     // vortex field
+    };
+
+    function getState() { return state; }
+
+    // 0 → 1 over the forming phase
+    function formProgress() {
+        return clamp01((clock.now() - state.startTime) / FORM_DURATION);
+    }
+
+    // ── Lifecycle hooks (see lifecycle.js) ──
+
+    function enter(ctx) {
+        state.phase     = 'forming';
+        state.startTime = clock.now();
+        ctx.particles.clearVelocities(); // Start with clean slate
+        ctx.renderer.cameraDolly(config.cameraDolly * ctx.settings.techniqueIntensity);
+
+        state.pull = ctx.particles.addField({ type: 'point', strength: 0, radius: DEBRIS_RADIUS * 2, falloff: 'constant' });
+        state.spin = ctx.particles.addField({ type: 'vortex', axis: [0, 1, 0], strength: 0, radius: 40, falloff: 'smooth' });
+    }
+
+    function exit(ctx) {
+        state.phase = 'idle';
+        state.pull  = null;   // main.js removes the fields
+        state.spin  = null;
+        ctx.particles.clearVelocities(); // Don't leave the pull to the next technique
+    }
+
+    /**
+     * The pull ramps up while forming.
+     */
+    function update(ctx) {
+        if (state.phase === 'idle') return;
+        if (state.phase === 'forming' && formProgress() >= 1) state.phase = 'collapsing';
+
+        const intensity = ctx.settings.techniqueIntensity;
+        state.pull.set({ strength: (PULL_MIN + (PULL_MAX - PULL_MIN) * formProgress()) * intensity });
+        state.spin.set({ strength: SPIN * formProgress() * intensity });
+    }
+
+    function getBloomOverride() {
+        if (state.phase === 'idle') return null;
+        const pulse = Math.sin(clock.now() * 0.008) * 0.3;
+        return config.bloomStrength * (0.6 + 0.4 * formProgress()) + pulse;
+    }
+
+    function getShakeOverride(ctx) {
+        return state.phase === 'collapsing' ? config.shakeIntensity * ctx.settings.techniqueIntensity * 0.5 : null;
+    }
+
+    function isAnimated()    { return state.phase !== 'idle'; }
+    function usesVelocity()  { return true; }
+    function getLerpFactor() { return 0.05; }   // low, so the pull shows through
+
+    // ── Particle generation (per-frame, deterministic) ──
+
+    function generate(i, COUNT) {
+        const now   = clock.now();
+        const form  = formProgress();
+        const h1    = hash(i);
+        const h2    = hash(i + 1e5);
+        const h3    = hash(i + 2e5);
+        const theta = h1 * Math.PI * 2;
+        const phi   = Math.acos(2 * h2 - 1);
+
+        // ── Core (20%): dense, pulsing, shrinking as it forms ──
+        if (i < COUNT * 0.2) {
+            const pulse = 1 + Math.sin(now * 0.008 + h3 * 2) * 0.15;
+            const r     = h3 * h3 * (14 - form * 8) * pulse;
+            return {
+                x: r * Math.sin(phi) * Math.cos(theta),
+                y: r * Math.sin(phi) * Math.sin(theta),
+                z: r * Math.cos(phi),
+                r: 0.5, g: 0.8, b: 2.5, s: 1.6 + (1 - h3) * 1.2,
+            };
+        }
+
+        // ── Accretion disk (30%): fast inner orbits, tilted ──
+        if (i < COUNT * 0.5) {
+            const r     = 8 + h3 * 14;
+            const angle = theta + now * 0.004 * (12 / r);
+            const y     = (h2 - 0.5) * 1.5;
+            return {
+                x: r * Math.cos(angle),
+                y: y + r * Math.sin(angle) * 0.35,
+                z: r * Math.sin(angle) * 0.94,
+                r: 0.1, g: 0.4 + (1 - h3) * 0.4, b: 1.4, s: 1.0,
+                a: form,
+            };
+        }
+
+        // ── Debris (50%): streams in from the cosmos, spiraling, fades at the core ──
+        const fall  = (h3 + now * DEBRIS_SPEED * (0.5 + h1)) % 1;   // 0 far → 1 swallowed
+        const r     = 4 + DEBRIS_RADIUS * Math.pow(1 - fall, 1.5);
+        const swirl = theta + fall * 3;
+        const alpha = Math.min(1, fall * 6) * Math.min(1, (1 - fall) * 4);
+        return {
+            x: r * Math.sin(phi) * Math.cos(swirl),
+            y: r * Math.sin(phi) * Math.sin(swirl),
+            z: r * Math.cos(phi),
+            r: 0.05 + fall * 0.3, g: 0.15 + fall * 0.5, b: 0.5 + fall * 0.8,
+            s: 0.5 + fall * 0.8,
+            a: alpha,
+        };
+    }
+
+    function updateRotation(pts) {
+        pts.rotation.y += 0.004;
+        pts.rotation.z += 0.02;
+    }
+
+    return {
+        getState,
+        getBloomOverride, getShakeOverride,
+        enter, exit, update,
+        isAnimated, usesVelocity, getLerpFactor, generate, updateRotation,
+    };
+}
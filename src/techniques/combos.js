@@ -0,0 +1,117 @@
+/**
+ * combos.js — Data-driven technique combos + the sequence tracker that detects them.
+ *
+ * A combo is a sequence of tokens completed within `window` ms. Tokens are
+ * confirmed gesture names ('red', 'void', …) plus technique events main.js
+ * feeds in ('blackflash:perfect', 'blackflash:miss'). Tokens listed in
+ * `ignore` (default: 'neutral') neither advance nor break a sequence; any
+ * other unexpected token resets it.
+ *
+ * Results:
+ *   { technique, variant }  — switch to a technique variant (see lifecycle.js)
+ *   { state, duration }     — enter a timed global state techniques can query
+ */
+
+import * as clock from '../core/clock.js';
+
+export const COMBOS = [
+    {
+        name:     'Hollow Purple: Maximum Output',
+        sequence: ['red', 'void', 'purple'],
+        window:   4000,
+        result:   { technique: 'purple', variant: 'enhanced' },
+    },
+    {
+        name:     'The Zone',
+        sequence: ['blackflash:perfect', 'blackflash:perfect', 'blackflash:perfect'],
+        ignore:   ['neutral', 'blackflash'],
+        window:   20000,
+        result:   { state: 'zone', duration: 12000 },
+    },
+];
+
+/** Short labels for the combo progress HUD. */
+export const TOKEN_LABELS = {
+    red:                  'Red',
+    void:                 'Void',
+    purple:               'Purple',
+    'blackflash:perfect': 'Perfect BF',
+};
+
+/**
+ * Create a sequence tracker over a list of combos.
+ * @param {Array} combos
+ * @param {{ now?: () => number }} [options]
+ */
+export function createComboTracker(combos = COMBOS, { now = clock.now } = {}) {
+    // Per-combo progress: number of matched steps + time of the first step
+    const progress = combos.map(() => ({ step: 0, start: 0 }));
+
+    function restartWith(combo, p, token, t) {
+        if (combo.sequence[0] === token) {
+            p.step  = 1;
+            p.start = t;
+        } else {
+            p.step = 0;
+        }
+    }
+
+    /**
+     * Feed one token. Returns the combo it completed, or null.
+     */
+    function push(token) {
+        const t = now();
+        let completed = null;
+
+        combos.forEach((combo, k) => {
+            const p      = progress[k];
+            const ignore = combo.ignore || ['neutral'];
+
+            // Expired partial sequence
+            if (p.step > 0 && t - p.start > combo.window) p.step = 0;
+
+            if (combo.sequence[p.step] === token) {
+                if (p.step === 0) p.start = t;
+                p.step++;
+            } else if (ignore.includes(token)) {
+                return;
+            } else {
+                restartWith(combo, p, token, t);
+            }
+
+            if (p.step === combo.sequence.length) {
+                p.step = 0;
+                if (!completed) completed = combo;
+            }
+        });
+
+        // A completed combo consumes the input — no chained partials
+        if (completed) reset();
+        return completed;
+    }
+
+    /**
+     * The most advanced partial combo, for the HUD.
+     * @returns {{ combo: object, step: number, remaining: number } | null}
+     */
+    function getProgress() {
+        const t = now();
+        let best = null;
+        combos.forEach((combo, k) => {
+            const p = progress[k];
+            if (p.step === 0) return;
+            const remaining = combo.window - (t - p.start);
+            if (remaining <= 0) return;
+            if (!best || p.step / combo.sequence.length > best.step / best.combo.sequence.length) {
+                best = { combo, step: p.step, remaining };
+            }
+        });
+        return best;
+    }
+
+    function reset() {
+        for (const p of progress) p.step = 0;
+    }
+
+    return { push, getProgress, reset };
+}
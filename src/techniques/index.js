@@ -1,10 +1,16 @@
 /**
- * Technique registry — maps gesture name to technique module.
- * Each module exports { config, generate, updateRotation }.
+ * Technique registry — maps gesture name to a technique descriptor
+ * ({ config, getConfig, create }; see lifecycle.js).
+ * Each module exports { config, generate, updateRotation } plus any of the
+ * optional lifecycle hooks documented in lifecycle.js.
+ *
+ * Adding a technique = one new file + one line here.
  */
 
+import { defineTechnique } from './lifecycle.js';
 import * as neutral      from './neutral.js';
 import * as red          from './red.js';
+import * as blue         from './blue.js';
 import * as purple       from './purple.js';
 import * as voidTech     from './void.js';
 import * as shrine       from './shrine.js';
@@ -13,12 +19,13 @@ import * as cleave       from './cleave.js';
 import * as simpledomain from './simpledomain.js';
 
 export const techniques = {
-    neutral,
-    red,
-    purple,
-    void:       voidTech,
-    shrine,
-    blackflash,
-    cleave,
-    simpledomain,
+    neutral:      defineTechnique(neutral),
+    red:          defineTechnique(red),
+    blue:         defineTechnique(blue),
+    purple:       defineTechnique(purple),
+    void:         defineTechnique(voidTech),
+    shrine:       defineTechnique(shrine),
+    blackflash:   defineTechnique(blackflash),
+    cleave:       defineTechnique(cleave),
+    simpledomain: defineTechnique(simpledomain),
 };
@@ -0,0 +1,84 @@
+/**
+ * lifecycle.js — The contract every technique module implements.
+ *
+ * A module exports `config`, `generate(i, COUNT)` and `updateRotation(pts)`
+ * plus any of the optional hooks below; modules with per-activation state
+ * export `create()` returning those hooks instead, so each hand in per-hand
+ * mode gets its own instance. Modules without enter() are "static": targets,
+ * bloom, shake and dolly come straight from the (variant) config.
+ */
+
+const DEFAULT_LERP = 0.1;
+
+function retargetStatic(impl, variant, ctx) {
+    ctx.particles.setActiveCount(ctx.settings.activeParticles);
+    ctx.particles.setTargets((i, count) => impl.generate(i, count, variant));
+}
+
+function applyStatic(impl, config, variant, ctx) {
+    const { renderer, particles, settings } = ctx;
+
+    renderer.setBloom(config.bloomStrength * settings.bloomMultiplier);
+    renderer.setShake(config.shakeIntensity * (settings.shakeEnabled ? 1 : 0));
+    renderer.cameraDolly(config.cameraDolly * settings.techniqueIntensity);
+
+    retargetStatic(impl, variant, ctx);
+    particles.clearVelocities(); // Clear any residual velocity from Black Flash / Cleave
+}
+
+function noop() {}
+
+/**
+ * Normalize a technique module into a descriptor that creates lifecycle instances.
+ * Hooks get the slot's `ctx` from main.js ({ slot, particles, anchor, renderer,
+ * settings, hud, camera, hasState, aim }); getConfig(variant) merges
+ * `config.variants[variant]` over `config`.
+ * @param {object} module — technique module namespace
+ * @returns {{ config: object, getConfig: (variant?: string) => object, create: () => object }}
+ */
+export function defineTechnique(module) {
+    const getConfig = (variant = null) => {
+        const overrides = variant && module.config.variants ? module.config.variants[variant] : null;
+        return overrides ? { ...module.config, ...overrides } : module.config;
+    };
+
+    function create() {
+        const impl     = module.create ? { config: module.config, ...module.create() } : module;
+        const isStatic = typeof impl.enter !== 'function';
+
+        // Static techniques remember the variant they entered with
+        let variant = null;
+        let config  = module.config;
+
+        const enterStatic = (ctx, v = null) => {
+            variant = v;
+            config  = getConfig(v);
+            applyStatic(impl, config, variant, ctx);
+        };
+
+        return {
+            enter:            isStatic ? enterStatic : noop,   // (ctx, variant)
+            exit:             noop,                            // about to be replaced
+            release:          noop,                            // gesture let go (may start an outro)
+            canInterrupt:     () => true,                      // false while an outro must finish
+            update:           noop,                            // per-frame phase logic + HUD text
+            applyImpulses:    noop,                            // per-frame velocity kicks
+            isAnimated:       () => false,                     // true → targets regenerated every frame
+            usesVelocity:     () => false,
+            getLerpFactor:    () => DEFAULT_LERP,
+            getBloomOverride: () => null,
+            getPostOverride:  () => null,                      // { chromatic?, grain?, vignette? }
+            getShakeOverride: isStatic
+                ? (ctx) => (config.shakeIntensity > 0
+                    ? config.shakeIntensity * ctx.settings.techniqueIntensity
+                    : null)
+                : () => null,
+            applySettings:    isStatic ? (ctx) => applyStatic(impl, config, variant, ctx) : noop,
+            // Particle budget changed (quality governor); animated techniques pick it up next frame
+            retarget:         isStatic ? (ctx) => retargetStatic(impl, variant, ctx) : noop,
+            ...impl,
+        };
+    }
+
+    return { config: module.config, getConfig, create };
+}
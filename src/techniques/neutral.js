@@ -2,6 +2,8 @@
  * Neutral / idle state — sparse ambient particles drifting slowly.
  */
 
+import { stream } from '../core/random.js';
+
 export const config = {
     name:           'neutral',
     displayName:    'Cursed Energy',
@@ -9,13 +11,15 @@ export const config = {
     bloomStrength:  1.0,
     shakeIntensity: 0,
     cameraDolly:    0,
+    transition:     { style: 'dissolve', order: 'random', duration: 900, stagger: 0.6, ease: 'inOutCubic' },
 };
 
 export function generate(i, COUNT) {
     if (i < COUNT * 0.05) {
-        const r  = 15 + Math.random() * 20;
-        const t  = Math.random() * 6.28;
-        const ph = Math.random() * 3.14;
+        const rand = stream(i);
+        const r  = 15 + rand() * 20;
+        const t  = rand() * 6.28;
+        const ph = rand() * 3.14;
         return {
             x: r * Math.sin(ph) * Math.cos(t),
             y: r * Math.sin(ph) * Math.sin(t),
@@ -3,6 +3,8 @@
  * Chaotic singularity — dense sphere + scattered debris.
  */
 
+import { stream } from '../core/random.js';
+
 export const config = {
     name:           'purple',
     displayName:    'Secret Technique: Hollow Purple',
@@ -10,20 +12,63 @@ export const config = {
     bloomStrength:  4.0,
     shakeIntensity: 0.5,
     cameraDolly:    -3,
+    anchor:         'pinch',
+    transition:     { style: 'swirl', order: 'center', duration: 1400, stagger: 0.4, ease: 'outQuad' },
+    camera: {
+        // FOV punch-in with a twist as the singularity forms
+        enter: {
+            keys: [
+                { t: 150, fov: 6, ease: 'outQuad' },
+                { t: 900, fov: -4, roll: 5, ease: 'outBack' },
+            ],
+        },
+    },
+    variants: {
+        // Red → Void → Purple combo (see combos.js)
+        enhanced: {
+            displayName:    'Hollow Purple: Maximum Output',
+            bloomStrength:  6.0,
+            shakeIntensity: 0.9,
+            cameraDolly:    -6,
+            camera: {
+                enter: {
+                    keys: [
+                        { t: 200,  fov: 10, crane: -4, ease: 'outQuad' },
+                        { t: 1200, fov: -8, roll: 9, crane: 0, ease: 'outBack' },
+                    ],
+                },
+            },
+        },
+    },
 };
 
-export function generate(i, COUNT) {
-    if (Math.random() > 0.8) {
+export function generate(i, COUNT, variant = null) {
+    const enhanced = variant === 'enhanced';
+    const rand     = stream(i);
+    if (rand() > (enhanced ? 0.7 : 0.8)) {
+        const spread = enhanced ? 140 : 100;
         return {
-            x: (Math.random() - 0.5) * 100,
-            y: (Math.random() - 0.5) * 100,
-            z: (Math.random() - 0.5) * 100,
+            x: (rand() - 0.5) * spread,
+            y: (rand() - 0.5) * spread,
+            z: (rand() - 0.5) * spread,
             r: 0.5, g: 0.5, b: 0.7, s: 0.8,
         };
     }
-    const R     = 20;
-    const theta = Math.random() * Math.PI * 2;
-    const phi   = Math.acos(2 * Math.random() - 1);
+    if (enhanced && i % 4 === 0) {
+        // Bright inner core of the overcharged singularity
+        const r     = rand() * 10;
+        const theta = rand() * Math.PI * 2;
+        const phi   = Math.acos(2 * rand() - 1);
+        return {
+            x: r * Math.sin(phi) * Math.cos(theta),
+            y: r * Math.sin(phi) * Math.sin(theta),
+            z: r * Math.cos(phi),
+            r: 1.0, g: 0.8, b: 1.2, s: 3.0,
+        };
+    }
+    const R     = enhanced ? 27 : 20;
+    const theta = rand() * Math.PI * 2;
+    const phi   = Math.acos(2 * rand() - 1);
     return {
         x: R * Math.sin(phi) * Math.cos(theta),
         y: R * Math.sin(phi) * Math.sin(theta),
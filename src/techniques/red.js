@@ -3,6 +3,8 @@
  * Dense core + 3-arm spiral of repulsive energy.
  */
 
+import { stream } from '../core/random.js';
+
 export const config = {
     name:           'red',
     displayName:    'Cursed Technique Reversal: Red',
@@ -10,13 +12,16 @@ export const config = {
     bloomStrength:  2.5,
     shakeIntensity: 0.4,
     cameraDolly:    -2,
+    anchor:         'indexTip',
+    transition:     { style: 'implode', order: 'edge', duration: 1000, stagger: 0.3, ease: 'inOutCubic' },
 };
 
 export function generate(i, COUNT) {
+    const rand = stream(i);
     if (i < COUNT * 0.1) {
-        const r     = Math.random() * 9;
-        const theta = Math.random() * 6.28;
-        const phi   = Math.acos(2 * Math.random() - 1);
+        const r     = rand() * 9;
+        const theta = rand() * 6.28;
+        const phi   = Math.acos(2 * rand() - 1);
         return {
             x: r * Math.sin(phi) * Math.cos(theta),
             y: r * Math.sin(phi) * Math.sin(theta),
@@ -31,7 +36,7 @@ export function generate(i, COUNT) {
     return {
         x: radius * Math.cos(angle),
         y: radius * Math.sin(angle),
-        z: (Math.random() - 0.5) * (10 * t),
+        z: (rand() - 0.5) * (10 * t),
         r: 0.8, g: 0, b: 0, s: 1.0,
     };
 }
@@ -3,21 +3,29 @@
  * Blood floor + four pillars + domed roof.
  */
 
+import { hash } from '../core/random.js';
+
 export const config = {
     name:           'shrine',
     displayName:    'Domain Expansion: Malevolent Shrine',
     glowColor:      '#ff0000',
     bloomStrength:  2.5,
     shakeIntensity: 1.3,
-    cameraDolly:    -2,
+    cameraDolly:    0,
+    transition:     { style: 'implode', order: 'center', duration: 1600, stagger: 0.5, ease: 'outExpo' },
+    grade:          'crimson',
+    camera: {
+        // Reveal: low angle looking up at the pillars, craning up around the shrine
+        enter: {
+            keys: [
+                { t: 0,    orbit: 35,  crane: -18, dolly: 15, fov: 8, lookAt: [0, 10, 0] },
+                { t: 4500, orbit: -12, crane: 6,   dolly: -2, fov: 0, lookAt: [0, 2, 0], ease: 'inOutCubic' },
+                { t: 6000, orbit: -8,  crane: 4,   lookAt: [0, 0, 0], ease: 'outQuad' },
+            ],
+        },
+    },
 };
 
-// Deterministic hash for stable randomness
-function hash(n) {
-    const x = Math.sin(n * 127.1 + 311.7) * 43758.5453;
-    return x - Math.floor(x);
-}
-
 export function generate(i, COUNT) {
     const h1 = hash(i);
     const h2 = hash(i + 1e5);
@@ -6,7 +6,8 @@
  */
 
 import * as THREE from 'three';
-import { scene } from '../core/renderer.js';
+import * as clock from '../core/clock.js';
+import { hash } from '../core/random.js';
 
 export const config = {
     name:           'simpledomain',
@@ -15,23 +16,15 @@ export const config = {
     bloomStrength:  2.8,
     shakeIntensity: 0.1,
     cameraDolly:    0,
+    anchor:         'betweenHands',
+    transition:     { style: 'morph', order: 'edge', duration: 900, stagger: 0.5, ease: 'outBack' },
 };
 
-// ── Barrier meshes ──
-let ring = null;
-let sphere = null;
-
 const RING_RADIUS = 30;
 const SPHERE_RADIUS = 28;
 const GROW_DURATION = 500;  // ms
 const FADE_DURATION = 300;  // ms
 
-const state = {
-    phase:      'idle',   // idle | growing | active | fading
-    startTime:  0,
-    scale:      0,
-};
-
 // ── Shader code ──
 const vertexShader = `
     varying vec3 vNormal;
@@ -98,181 +91,229 @@ const fragmentShader = `
     }
 `;
 
-// ── Initialization ──
-function createBarrier() {
-    if (ring) return;
-    
-    // Ring geometry
-    const ringGeo = new THREE.RingGeometry(RING_RADIUS - 2, RING_RADIUS + 2, 64);
-    const ringMat = new THREE.ShaderMaterial({
-        vertexShader,
-        fragmentShader,
-        uniforms: {
-            uTime: { value: 0 },
-            uOpacity: { value: 0 },
-            uColor: { value: new THREE.Color(0x88ddff) },
-        },
-        transparent: true,
-        side: THREE.DoubleSide,
-        depthWrite: false,
-    });
-    ring = new THREE.Mesh(ringGeo, ringMat);
-    ring.rotation.x = -Math.PI / 3;  // Tilt slightly
-    
-    // Faint sphere shell
-    const sphereGeo = new THREE.SphereGeometry(SPHERE_RADIUS, 32, 32);
-    const sphereMat = new THREE.ShaderMaterial({
-        vertexShader,
-        fragmentShader,
-        uniforms: {
-            uTime: { value: 0 },
-            uOpacity: { value: 0 },
-            uColor: { value: new THREE.Color(0x88ddff) },
-        },
-        transparent: true,
-        side: THREE.BackSide,
-        depthWrite: false,
-    });
-    sphere = new THREE.Mesh(sphereGeo, sphereMat);
-    
-    scene.add(ring);
-    scene.add(sphere);
-}
+/**
+ * A fresh, independent instance (one per hand in per-hand mode).
+ * The barrier meshes hang off the slot's scene anchor.
+ */
+export function create() {
+    // ── Barrier meshes ──
+    let ring = null;
+    let sphere = null;
 
-// ── Public API ──
-export function getState() { return state; }
+    const state = {
+        phase:      'idle',   // idle | growing | active | fading
+        startTime:  0,
+        scale:      0,
+    };
+    let shimmer = null;   // barrier sound, follows state.scale
 
-export function activate() {
-    createBarrier();
-    state.phase = 'growing';
-    state.startTime = performance.now();
-    state.scale = 0;
-}
+    // ── Initialization ──
+    function createBarrier(parent) {
+        if (ring) return;
 
-export function deactivate() {
-    if (state.phase === 'growing' || state.phase === 'active') {
-        state.phase = 'fading';
-        state.startTime = performance.now();
-    }
-}
+        // Ring geometry
+        const ringGeo = new THREE.RingGeometry(RING_RADIUS - 2, RING_RADIUS + 2, 64);
+        const ringMat = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                uTime: { value: 0 },
+                uOpacity: { value: 0 },
+                uColor: { value: new THREE.Color(0x88ddff) },
+            },
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+        });
+        ring = new THREE.Mesh(ringGeo, ringMat);
+        ring.rotation.x = -Math.PI / 3;  // Tilt slightly
 
-export function reset() {
-    state.phase = 'idle';
-    state.scale = 0;
-    if (ring) {
-        ring.visible = false;
-        sphere.visible = false;
+        // Faint sphere shell
+        const sphereGeo = new THREE.SphereGeometry(SPHERE_RADIUS, 32, 32);
+        const sphereMat = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                uTime: { value: 0 },
+                uOpacity: { value: 0 },
+                uColor: { value: new THREE.Color(0x88ddff) },
+            },
+            transparent: true,
+            side: THREE.BackSide,
+            depthWrite: false,
+        });
+        sphere = new THREE.Mesh(sphereGeo, sphereMat);
+
+        parent.add(ring);
+        parent.add(sphere);
     }
-}
 
-export function cleanup() {
-    // Immediately hide meshes (called when switching away)
-    if (ring) {
-        ring.visible = false;
-        sphere.visible = false;
+    // ── Public API ──
+    function getState() { return state; }
+
+    function activate(parent) {
+        createBarrier(parent);
+        state.phase = 'growing';
+        state.startTime = clock.now();
+        state.scale = 0;
     }
-    state.phase = 'idle';
-    state.scale = 0;
-}
 
-export function updatePhase() {
-    if (!ring || state.phase === 'idle') return;
-    
-    const now = performance.now();
-    const elapsed = now - state.startTime;
-    
-    if (state.phase === 'growing') {
-        const t = Math.min(1, elapsed / GROW_DURATION);
-        state.scale = t;
-        
-        if (t >= 1) {
-            state.phase = 'active';
+    function deactivate() {
+        if (state.phase === 'growing' || state.phase === 'active') {
+            state.phase = 'fading';
+            state.startTime = clock.now();
         }
     }
-    
-    if (state.phase === 'fading') {
-        const t = Math.min(1, elapsed / FADE_DURATION);
-        state.scale = 1 - t;
-        
-        if (t >= 1) {
-            state.phase = 'idle';
+
+    function reset() {
+        state.phase = 'idle';
+        state.scale = 0;
+        if (ring) {
             ring.visible = false;
             sphere.visible = false;
-            return;
         }
     }
-    
-    // Update visuals only if not idle
-    ring.visible = true;
-    sphere.visible = true;
-    
-    ring.scale.set(state.scale, state.scale, state.scale);
-    sphere.scale.set(state.scale, state.scale, state.scale);
-    
-    ring.material.uniforms.uTime.value = now * 0.001;
-    ring.material.uniforms.uOpacity.value = state.scale * 0.7;
-    
-    sphere.material.uniforms.uTime.value = now * 0.001;
-    sphere.material.uniforms.uOpacity.value = state.scale * 0.25;
-}
 
-// Hash for deterministic randomness
-function hash(n) {
-    const x = Math.sin(n * 127.1 + 311.7) * 43758.5453;
-    return x - Math.floor(x);
-}
+    function cleanup() {
+        // Remove the meshes (called when switching away)
+        for (const mesh of [ring, sphere]) {
+            if (!mesh) continue;
+            mesh.removeFromParent();
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+        ring   = null;
+        sphere = null;
+        state.phase = 'idle';
+        state.scale = 0;
+    }
 
-export function generate(i, COUNT) {
-    const h1 = hash(i);
-    const h2 = hash(i + 1e5);
-    const h3 = hash(i + 2e5);
-    
-    if (state.phase === 'idle') {
-        // Minimal idle particles
-        if (i < COUNT * 0.05) {
-            const r = 15 + h1 * 10;
-            const theta = h2 * Math.PI * 2;
-            const phi = Math.acos(2 * h3 - 1);
-            return {
-                x: r * Math.sin(phi) * Math.cos(theta),
-                y: r * Math.sin(phi) * Math.sin(theta),
-                z: r * Math.cos(phi),
-                r: 0.1, g: 0.15, b: 0.2, s: 0.3,
-            };
+    function updatePhase() {
+        if (!ring || state.phase === 'idle') return;
+
+        const now = clock.now();
+        const elapsed = now - state.startTime;
+
+        if (state.phase === 'growing') {
+            const t = Math.min(1, elapsed / GROW_DURATION);
+            state.scale = t;
+
+            if (t >= 1) {
+                state.phase = 'active';
+            }
+        }
+
+        if (state.phase === 'fading') {
+            const t = Math.min(1, elapsed / FADE_DURATION);
+            state.scale = 1 - t;
+
+            if (t >= 1) {
+                state.phase = 'idle';
+                ring.visible = false;
+                sphere.visible = false;
+                return;
+            }
         }
-        return { x: 0, y: 0, z: 0, r: 0, g: 0, b: 0, s: 0 };
+
+        // Update visuals only if not idle
+        ring.visible = true;
+        sphere.visible = true;
+
+        ring.scale.set(state.scale, state.scale, state.scale);
+        sphere.scale.set(state.scale, state.scale, state.scale);
+
+        ring.material.uniforms.uTime.value = now * 0.001;
+        ring.material.uniforms.uOpacity.value = state.scale * 0.7;
+
+        sphere.material.uniforms.uTime.value = now * 0.001;
+        sphere.material.uniforms.uOpacity.value = state.scale * 0.25;
     }
-    
-    // Active: particles in spherical volume with boundary emphasis
-    const now = performance.now();
-    const radius = 10 + h1 * 18;
-    const theta = h2 * Math.PI * 2;
-    const phi = Math.acos(2 * h3 - 1);
-    
-    const x = radius * Math.sin(phi) * Math.cos(theta);
-    const y = radius * Math.sin(phi) * Math.sin(theta);
-    const z = radius * Math.cos(phi);
-    
-    // Distance from barrier
-    const dist = Math.sqrt(x * x + y * y + z * z);
-    const nearBoundary = Math.abs(dist - 25) < 5;
-    
-    // Boundary shimmer
-    const shimmer = nearBoundary
-        ? 1.5 + Math.sin(now * 0.003 + h1 * 10) * 0.5
-        : 1.0;
-    
-    // Calm center pull
-    const pull = 0.95 + h1 * 0.05;
-    
+
+    // ── Lifecycle hooks (see lifecycle.js) ──
+
+    function enter(ctx) {
+        activate(ctx.anchor);
+        shimmer = ctx.audio.loop('shimmer');
+    }
+
+    function exit() {
+        // The sound rings out over its release; the barrier goes at once
+        if (shimmer) shimmer.stop();
+        shimmer = null;
+        cleanup();
+    }
+
+    function update() {
+        updatePhase();
+        if (shimmer) shimmer.set({ level: state.scale });
+    }
+
+    function getBloomOverride() {
+        if (state.phase === 'growing' || state.phase === 'active') {
+            return config.bloomStrength;
+        }
+        return null;
+    }
+
+    function isAnimated() { return state.phase !== 'idle'; }
+
+    function generate(i, COUNT) {
+        const h1 = hash(i);
+        const h2 = hash(i + 1e5);
+        const h3 = hash(i + 2e5);
+
+        if (state.phase === 'idle') {
+            // Minimal idle particles
+            if (i < COUNT * 0.05) {
+                const r = 15 + h1 * 10;
+                const theta = h2 * Math.PI * 2;
+                const phi = Math.acos(2 * h3 - 1);
+                return {
+                    x: r * Math.sin(phi) * Math.cos(theta),
+                    y: r * Math.sin(phi) * Math.sin(theta),
+                    z: r * Math.cos(phi),
+                    r: 0.1, g: 0.15, b: 0.2, s: 0.3,
+                };
+            }
+            return { x: 0, y: 0, z: 0, r: 0, g: 0, b: 0, s: 0 };
+        }
+
+        // Active: particles in spherical volume with boundary emphasis
+        const now = clock.now();
+        const radius = 10 + h1 * 18;
+        const theta = h2 * Math.PI * 2;
+        const phi = Math.acos(2 * h3 - 1);
+
+        const x = radius * Math.sin(phi) * Math.cos(theta);
+        const y = radius * Math.sin(phi) * Math.sin(theta);
+        const z = radius * Math.cos(phi);
+
+        // Distance from barrier
+        const dist = Math.sqrt(x * x + y * y + z * z);
+        const nearBoundary = Math.abs(dist - 25) < 5;
+
+        // Boundary shimmer
+        const edgeGlow = nearBoundary
+            ? 1.5 + Math.sin(now * 0.003 + h1 * 10) * 0.5
+            : 1.0;
+
+        // Calm center pull
+        const pull = 0.95 + h1 * 0.05;
+
+        return {
+            x: x * pull, y: y * pull, z: z * pull,
+            r: 0.3 * edgeGlow, g: 0.5 * edgeGlow, b: 0.7 * edgeGlow,
+            s: (nearBoundary ? 1.2 : 0.6) * edgeGlow * state.scale,
+        };
+    }
+
+    function updateRotation(pts) {
+        // Slow rotation
+        pts.rotation.y += 0.002;
+    }
+
     return {
-        x: x * pull, y: y * pull, z: z * pull,
-        r: 0.3 * shimmer, g: 0.5 * shimmer, b: 0.7 * shimmer,
-        s: (nearBoundary ? 1.2 : 0.6) * shimmer * state.scale,
+        getState, activate, deactivate, reset, cleanup, updatePhase,
+        enter, exit, update, getBloomOverride, isAnimated, generate, updateRotation,
     };
 }
-
-export function updateRotation(pts) {
-    // Slow rotation
-    pts.rotation.y += 0.002;
-}
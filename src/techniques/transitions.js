@@ -0,0 +1,37 @@
+/**
+ * transitions.js — Which particle morph plays when one technique replaces another.
+ *
+ * The incoming technique's `config.transition` is the default; TRANSITION_PAIRS
+ * overrides it for specific from → to pairs. A transition is
+ * { style, order, duration, stagger, ease } — see core/particles.js
+ * startTransition() for the styles and delay orders, core/choreo.js EASINGS
+ * for the easing names. No transition (or style 'lerp') keeps the plain lerp.
+ */
+
+export const TRANSITION_PAIRS = [
+    {
+        // Red collapses into the singularity before Purple bursts out of it
+        from: 'red', to: 'purple',
+        transition: { style: 'implode', order: 'edge', duration: 1200, stagger: 0.3, ease: 'inOutCubic' },
+    },
+    {
+        // Domain clash: one domain dissolves outward-in as the other takes over
+        from: 'void', to: 'shrine',
+        transition: { style: 'dissolve', order: 'edge', duration: 1600, stagger: 0.6, ease: 'inOutCubic' },
+    },
+    {
+        from: 'shrine', to: 'void',
+        transition: { style: 'dissolve', order: 'edge', duration: 1600, stagger: 0.6, ease: 'inOutCubic' },
+    },
+];
+
+/**
+ * The transition for switching `from` → `to`.
+ * @param {string | null} from — outgoing technique name (null on the first switch)
+ * @param {string} to — incoming technique name
+ * @param {object} config — incoming technique's (variant) config
+ */
+export function getTransition(from, to, config) {
+    const pair = TRANSITION_PAIRS.find((entry) => entry.from === from && entry.to === to);
+    return pair ? pair.transition : config.transition || null;
+}
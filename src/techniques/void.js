@@ -3,28 +3,44 @@
  * Bright event-horizon ring + deep cosmos background.
  */
 
+import { stream } from '../core/random.js';
+
 export const config = {
     name:           'void',
     displayName:    'Domain Expansion: Infinite Void',
     glowColor:      '#00ffff',
     bloomStrength:  2.0,
     shakeIntensity: 0.3,
-    cameraDolly:    -1,
+    cameraDolly:    0,
+    transition:     { style: 'swirl', order: 'center', duration: 2000, stagger: 0.7, ease: 'inOutCubic' },
+    grade:          'cold',
+    sound:          'drone',
+    camera: {
+        // Reveal: cut wide and high, then a slow sweep down into the horizon
+        enter: {
+            keys: [
+                { t: 0,    orbit: -50, crane: 22, dolly: 40, fov: 12, roll: -6 },
+                { t: 4000, orbit: 10,  crane: 4,  dolly: -2, fov: 0,  roll: 0, ease: 'inOutCubic' },
+                { t: 6000, orbit: 0,   crane: 2,  dolly: -4, ease: 'outQuad' },
+            ],
+        },
+    },
 };
 
 export function generate(i, COUNT) {
+    const rand = stream(i);
     if (i < COUNT * 0.15) {
-        const angle = Math.random() * Math.PI * 2;
+        const angle = rand() * Math.PI * 2;
         return {
             x: 26 * Math.cos(angle),
             y: 26 * Math.sin(angle),
-            z: (Math.random() - 0.5) * 1,
+            z: (rand() - 0.5) * 1,
             r: 1, g: 1, b: 1, s: 2.5,
         };
     }
-    const radius = 30 + Math.random() * 90;
-    const theta  = Math.random() * Math.PI * 2;
-    const phi    = Math.acos(2 * Math.random() - 1);
+    const radius = 30 + rand() * 90;
+    const theta  = rand() * Math.PI * 2;
+    const phi    = Math.acos(2 * rand() - 1);
     return {
         x: radius * Math.sin(phi) * Math.cos(theta),
         y: radius * Math.sin(phi) * Math.sin(theta),
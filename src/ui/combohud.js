@@ -0,0 +1,49 @@
+/**
+ * combohud.js — Combo progress strip under the technique name.
+ * Shows the steps of the most advanced partial combo, a countdown bar for its
+ * time window, and briefly announces completed combos.
+ */
+
+import { TOKEN_LABELS } from '../techniques/combos.js';
+
+const ANNOUNCE_MS = 1500;
+
+const root = document.getElementById('combo-hud');
+let announceUntil = 0;
+
+function label(token) {
+    return TOKEN_LABELS[token] || token;
+}
+
+/**
+ * Render partial progress (call every frame).
+ * @param {{ combo: object, step: number, remaining: number } | null} progress
+ */
+export function updateComboHud(progress) {
+    if (performance.now() < announceUntil) return;
+
+    if (!progress) {
+        root.style.opacity = '0';
+        return;
+    }
+
+    const { combo, step, remaining } = progress;
+    const steps = combo.sequence
+        .map((token, k) => `<span class="${k < step ? 'done' : ''}">${label(token)}</span>`)
+        .join(' ▸ ');
+
+    root.innerHTML = `
+        <div class="combo-steps">${steps}</div>
+        <div class="combo-timer"><div style="width:${(remaining / combo.window) * 100}%"></div></div>
+    `;
+    root.style.opacity = '1';
+}
+
+/**
+ * Flash the name of a completed combo.
+ */
+export function announceCombo(combo) {
+    root.innerHTML = `<div class="combo-name">${combo.name}</div>`;
+    root.style.opacity = '1';
+    announceUntil = performance.now() + ANNOUNCE_MS;
+}
@@ -3,14 +3,101 @@
  * Exposes a reactive `settings` object that main.js reads each frame.
  */
 
+import * as handTracking from '../hand/hands.js';
+import * as clips from '../core/clips.js';
+import * as photo from '../core/photo.js';
+import * as random from '../core/random.js';
+import { TARGET_FPS } from '../core/governor.js';
+import { on } from '../core/events.js';
+import { POSES, getBindings, setBinding, resetBindings } from '../hand/bindings.js';
+import * as trainer from '../hand/trainer.js';
+import * as calibration from '../hand/calibration.js';
+import * as presets from './presets.js';
+import { techniques } from '../techniques/index.js';
+
 export const settings = {
     bloomMultiplier:    1.0,
     activeParticles:    20000,
+    autoQuality:        true,    // governor.js steps quality down to hold targetFps
+    targetFps:          60,
+    spriteShape:        'soft',
     techniqueIntensity: 1.0,
     shakeEnabled:       true,
     grainEnabled:       true,
+    grainAmount:        0.08,
+    chromaticEnabled:   true,
+    chromaticAmount:    1.0,     // scales lens fringing and technique spikes
+    vignetteEnabled:    true,
+    vignetteAmount:     0.35,
+    gradeEnabled:       true,    // per-technique color grading (postfx.js GRADES)
+    gradeIntensity:     1.0,
+    soundVolume:        0.6,
+    soundMuted:         false,
+    soundChannels:      { blackflash: true, cleave: true, void: true, simpledomain: true },   // per-technique sounds
+    perHand:            false,   // one technique per hand, particles split between them
+    followHands:        true,    // anchored techniques (Red, Purple, Simple Domain) track the hands
+    profiler:           false,   // frame timing HUD (core/profiler.js)
+    gestureDiagnostics: false,   // measurements + timers on the camera preview (hand/diagnostics.js)
+    seed:               random.getSeed(),   // technique shapes (core/random.js); ?seed= in the URL
+    clipPip:            true,    // webcam preview picture-in-picture in clips
+    clipOverlay:        true,    // technique name drawn into clips
+    autoClip:           false,   // save the seconds around every Black Flash impact
+};
+
+// Saved values from the last session (presets.js)
+Object.assign(settings, presets.loadSettings(settings));
+
+/** Value labels of sliders, by settings key. */
+const FORMAT = {
+    bloomMultiplier:    (v) => v.toFixed(1) + '×',
+    techniqueIntensity: (v) => v.toFixed(1) + '×',
+    grainAmount:        (v) => v.toFixed(2),
+    chromaticAmount:    (v) => v.toFixed(1) + '×',
+    vignetteAmount:     (v) => v.toFixed(2),
+    gradeIntensity:     (v) => Math.round(v * 100) + '%',
+    soundVolume:        (v) => Math.round(v * 100) + '%',
 };
 
+/** Settings key → [input id, value label id], for syncControls(). */
+const CONTROL_IDS = {
+    bloomMultiplier:    ['bloom-slider', 'bloom-val'],
+    activeParticles:    ['quality-select'],
+    autoQuality:        ['autoquality-toggle'],
+    targetFps:          ['fps-select'],
+    spriteShape:        ['sprite-select'],
+    techniqueIntensity: ['intensity-slider', 'intensity-val'],
+    shakeEnabled:       ['shake-toggle'],
+    grainEnabled:       ['grain-toggle'],
+    grainAmount:        ['grain-slider', 'grain-val'],
+    chromaticEnabled:   ['chromatic-toggle'],
+    chromaticAmount:    ['chromatic-slider', 'chromatic-val'],
+    vignetteEnabled:    ['vignette-toggle'],
+    vignetteAmount:     ['vignette-slider', 'vignette-val'],
+    gradeEnabled:       ['grade-toggle'],
+    gradeIntensity:     ['grade-slider', 'grade-val'],
+    soundVolume:        ['volume-slider', 'volume-val'],
+    soundMuted:         ['mute-toggle'],
+    perHand:            ['perhand-toggle'],
+    followHands:        ['follow-toggle'],
+    profiler:           ['profiler-toggle'],
+    gestureDiagnostics: ['diagnostics-toggle'],
+    seed:               ['seed-input'],
+    clipPip:            ['clip-pip'],
+    clipOverlay:        ['clip-overlay'],
+    autoClip:           ['clip-auto'],
+};
+
+/** Gesture thresholds editable in the Calibration section (keys of gestures.js DEFAULT_THRESHOLDS). */
+const THRESHOLD_CONTROLS = [
+    { key: 'pinch',          label: 'OK Pinch',       min: 0.1, max: 0.8,  step: 0.01 },
+    { key: 'circleSymmetry', label: 'Frame Symmetry', min: 0.1, max: 0.8,  step: 0.01 },
+    { key: 'circleMinSize',  label: 'Frame Min Size', min: 0.2, max: 2,    step: 0.05 },
+    { key: 'circleMaxSize',  label: 'Frame Max Size', min: 1,   max: 5,    step: 0.05 },
+    { key: 'debounce',       label: 'Debounce',       min: 0,   max: 500,  step: 10, unit: ' ms' },
+    { key: 'cooldown',       label: 'Cooldown',       min: 0,   max: 1000, step: 10, unit: ' ms' },
+    { key: 'twoHandHold',    label: 'Two-Hand Hold',  min: 0,   max: 500,  step: 10, unit: ' ms' },
+];
+
 let changeCallback = null;
 
 /**
@@ -38,6 +125,24 @@ export function createPanel(onChange) {
                     <option value="5000">Low (5 K)</option>
                     <option value="10000">Medium (10 K)</option>
                     <option value="20000" selected>High (20 K)</option>
+                    <option value="50000">Ultra (50 K)</option>
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Auto Quality</label>
+                <input type="checkbox" id="autoquality-toggle" checked>
+                <select id="fps-select">
+                    ${TARGET_FPS.map((fps) => `<option value="${fps}"${fps === settings.targetFps ? ' selected' : ''}>${fps} fps</option>`).join('')}
+                </select>
+                <span id="quality-status" class="quality-status">Full quality</span>
+            </div>
+            <div class="control-group">
+                <label>Sprite</label>
+                <select id="sprite-select">
+                    <option value="soft" selected>Soft</option>
+                    <option value="round">Round</option>
+                    <option value="square">Square</option>
+                    <option value="spark">Spark</option>
                 </select>
             </div>
             <div class="control-group">
@@ -50,9 +155,177 @@ export function createPanel(onChange) {
                 <input type="checkbox" id="shake-toggle" checked>
             </div>
             <div class="control-group">
-                <label>Film Grain</label>
-                <input type="checkbox" id="grain-toggle" checked>
+                <label>Per-Hand Techniques</label>
+                <input type="checkbox" id="perhand-toggle">
+            </div>
+            <div class="control-group">
+                <label>Follow Hands</label>
+                <input type="checkbox" id="follow-toggle" checked>
             </div>
+            <div class="control-group">
+                <label>Profiler</label>
+                <input type="checkbox" id="profiler-toggle">
+            </div>
+            <div class="control-group">
+                <label>Gesture Diagnostics</label>
+                <input type="checkbox" id="diagnostics-toggle">
+            </div>
+            <div class="control-group">
+                <label>Seed</label>
+                <input type="number" id="seed-input" min="0" max="4294967295" step="1" value="${settings.seed}">
+                <button id="seed-roll" title="New seed">⟳</button>
+            </div>
+            <div class="control-group">
+                <label>Session</label>
+                <button id="record-btn">● REC</button>
+                <button id="replay-btn">▶ REPLAY</button>
+                <input type="file" id="replay-file" accept="application/json,.json" hidden>
+            </div>
+            <details class="panel-section">
+                <summary>Presets</summary>
+                <div class="control-group">
+                    <select id="preset-select"></select>
+                    <button id="preset-delete" title="Delete preset">×</button>
+                </div>
+                <div class="control-group">
+                    <input type="text" id="preset-name" placeholder="preset name">
+                    <button id="preset-save">SAVE</button>
+                </div>
+                <div class="control-group">
+                    <button id="preset-export">⤓ EXPORT</button>
+                    <button id="preset-import">⤒ IMPORT</button>
+                    <input type="file" id="preset-file" accept="application/json,.json" hidden>
+                </div>
+            </details>
+            <details class="panel-section">
+                <summary>Post FX</summary>
+                <div class="control-group">
+                    <label>Film Grain</label>
+                    <input type="checkbox" id="grain-toggle" checked>
+                    <span id="grain-val">0.08</span>
+                    <input type="range" id="grain-slider" min="0" max="0.3" step="0.01" value="0.08">
+                </div>
+                <div class="control-group">
+                    <label>Chromatic Aberration</label>
+                    <input type="checkbox" id="chromatic-toggle" checked>
+                    <span id="chromatic-val">1.0×</span>
+                    <input type="range" id="chromatic-slider" min="0" max="3.0" step="0.1" value="1.0">
+                </div>
+                <div class="control-group">
+                    <label>Vignette</label>
+                    <input type="checkbox" id="vignette-toggle" checked>
+                    <span id="vignette-val">0.35</span>
+                    <input type="range" id="vignette-slider" min="0" max="1.0" step="0.05" value="0.35">
+                </div>
+                <div class="control-group">
+                    <label>Color Grade</label>
+                    <input type="checkbox" id="grade-toggle" checked>
+                    <span id="grade-val">100%</span>
+                    <input type="range" id="grade-slider" min="0" max="1.0" step="0.05" value="1.0">
+                </div>
+            </details>
+            <details class="panel-section">
+                <summary>Sound</summary>
+                <div class="control-group">
+                    <label>Volume</label>
+                    <span id="volume-val">60%</span>
+                    <input type="range" id="volume-slider" min="0" max="1" step="0.05" value="0.6">
+                </div>
+                <div class="control-group">
+                    <label>Mute</label>
+                    <input type="checkbox" id="mute-toggle">
+                </div>
+                ${Object.keys(settings.soundChannels).map((name) => `
+                <div class="control-group">
+                    <label>${techniques[name].config.displayName}</label>
+                    <input type="checkbox" class="sound-channel" data-technique="${name}" checked>
+                </div>`).join('')}
+            </details>
+            <details class="panel-section">
+                <summary>Clips</summary>
+                <div class="control-group">
+                    <button id="clip-btn">● CLIP</button>
+                </div>
+                <div class="control-group">
+                    <label>Webcam PiP</label>
+                    <input type="checkbox" id="clip-pip" checked>
+                </div>
+                <div class="control-group">
+                    <label>Name Overlay</label>
+                    <input type="checkbox" id="clip-overlay" checked>
+                </div>
+                <div class="control-group">
+                    <label>Auto-Clip Black Flash</label>
+                    <input type="checkbox" id="clip-auto">
+                </div>
+            </details>
+            <details class="panel-section">
+                <summary>Photo Mode</summary>
+                <div class="control-group">
+                    <button id="photo-btn">◉ PHOTO MODE</button>
+                </div>
+                <div class="control-group">
+                    <label>Bloom</label>
+                    <span id="photo-bloom-val">—</span>
+                    <input type="range" id="photo-bloom" min="0" max="10" step="0.1" value="1.5" disabled>
+                </div>
+                <div class="control-group">
+                    <label>Exposure</label>
+                    <span id="photo-exposure-val">1.0×</span>
+                    <input type="range" id="photo-exposure" min="0.2" max="3.0" step="0.1" value="1.0" disabled>
+                </div>
+                <div class="control-group">
+                    <label>Resolution</label>
+                    <select id="photo-scale">
+                        <option value="1">Screen (1×)</option>
+                        <option value="2" selected>2×</option>
+                        <option value="4">4× (4K+)</option>
+                    </select>
+                </div>
+                <div class="control-group">
+                    <button id="photo-save" disabled>⤓ SAVE PNG</button>
+                    <span id="photo-status"></span>
+                </div>
+            </details>
+            <details class="panel-section">
+                <summary>Bindings</summary>
+                <div id="bindings-list"></div>
+                <div class="control-group">
+                    <button id="bindings-reset">RESET DEFAULTS</button>
+                </div>
+            </details>
+            <details class="panel-section">
+                <summary>Pose Trainer</summary>
+                <div class="control-group">
+                    <input type="text" id="trainer-name" placeholder="pose name">
+                    <button id="trainer-capture">CAPTURE</button>
+                    <span id="trainer-status"></span>
+                </div>
+                <div id="trainer-list"></div>
+                <div class="control-group">
+                    <button id="trainer-clear">CLEAR MODEL</button>
+                </div>
+            </details>
+            <details class="panel-section">
+                <summary>Calibration</summary>
+                <div class="control-group">
+                    <label>Profile</label>
+                    <select id="calib-profile"></select>
+                    <button id="calib-delete" title="Delete profile">×</button>
+                </div>
+                <div class="control-group">
+                    <input type="text" id="calib-name" placeholder="profile name">
+                    <button id="calib-new">SAVE AS</button>
+                </div>
+                <div id="calib-thresholds"></div>
+                <div class="control-group">
+                    <button id="calib-start">CALIBRATE</button>
+                    <span id="calib-status"></span>
+                </div>
+                <div class="control-group">
+                    <button id="calib-reset">RESET DEFAULTS</button>
+                </div>
+            </details>
         </div>
     `;
 
@@ -68,7 +341,7 @@ export function createPanel(onChange) {
     // Bloom multiplier
     document.getElementById('bloom-slider').addEventListener('input', (e) => {
         settings.bloomMultiplier = parseFloat(e.target.value);
-        document.getElementById('bloom-val').textContent = settings.bloomMultiplier.toFixed(1) + '×';
+        document.getElementById('bloom-val').textContent = FORMAT.bloomMultiplier(settings.bloomMultiplier);
         notify();
     });
 
@@ -78,10 +351,27 @@ export function createPanel(onChange) {
         notify();
     });
 
+    // Adaptive quality: target frame rate + what the governor has given up
+    document.getElementById('autoquality-toggle').addEventListener('change', (e) => {
+        settings.autoQuality = e.target.checked;
+        notify();
+    });
+    document.getElementById('fps-select').addEventListener('change', (e) => {
+        settings.targetFps = parseInt(e.target.value, 10);
+        notify();
+    });
+    on('quality', renderQualityStatus);
+
+    // Particle sprite shape
+    document.getElementById('sprite-select').addEventListener('change', (e) => {
+        settings.spriteShape = e.target.value;
+        notify();
+    });
+
     // Technique intensity
     document.getElementById('intensity-slider').addEventListener('input', (e) => {
         settings.techniqueIntensity = parseFloat(e.target.value);
-        document.getElementById('intensity-val').textContent = settings.techniqueIntensity.toFixed(1) + '×';
+        document.getElementById('intensity-val').textContent = FORMAT.techniqueIntensity(settings.techniqueIntensity);
         notify();
     });
 
@@ -91,14 +381,457 @@ export function createPanel(onChange) {
         notify();
     });
 
-    // Film grain
-    document.getElementById('grain-toggle').addEventListener('change', (e) => {
-        settings.grainEnabled = e.target.checked;
-        document.getElementById('grain').style.display = e.target.checked ? 'block' : 'none';
+    // Post FX: each pass has an on/off toggle and a strength slider
+    const postControls = [
+        ['grain',     'grainEnabled',     'grainAmount'],
+        ['chromatic', 'chromaticEnabled', 'chromaticAmount'],
+        ['vignette',  'vignetteEnabled',  'vignetteAmount'],
+        ['grade',     'gradeEnabled',     'gradeIntensity'],
+    ];
+    for (const [id, enabledKey, amountKey] of postControls) {
+        document.getElementById(`${id}-toggle`).addEventListener('change', (e) => {
+            settings[enabledKey] = e.target.checked;
+            notify();
+        });
+        document.getElementById(`${id}-slider`).addEventListener('input', (e) => {
+            settings[amountKey] = parseFloat(e.target.value);
+            document.getElementById(`${id}-val`).textContent = FORMAT[amountKey](settings[amountKey]);
+            notify();
+        });
+    }
+
+    // One technique per hand
+    document.getElementById('perhand-toggle').addEventListener('change', (e) => {
+        settings.perHand = e.target.checked;
+        notify();
+    });
+
+    // Sound: master volume, mute, per-technique channels
+    document.getElementById('volume-slider').addEventListener('input', (e) => {
+        settings.soundVolume = parseFloat(e.target.value);
+        document.getElementById('volume-val').textContent = FORMAT.soundVolume(settings.soundVolume);
+        notify();
+    });
+    document.getElementById('mute-toggle').addEventListener('change', (e) => {
+        settings.soundMuted = e.target.checked;
         notify();
     });
+    for (const input of root.querySelectorAll('.sound-channel')) {
+        input.addEventListener('change', (e) => {
+            settings.soundChannels[e.target.dataset.technique] = e.target.checked;
+            notify();
+        });
+    }
+
+    // Anchored techniques follow the hands
+    document.getElementById('follow-toggle').addEventListener('change', (e) => {
+        settings.followHands = e.target.checked;
+        notify();
+    });
+
+    // Frame timing HUD
+    document.getElementById('profiler-toggle').addEventListener('change', (e) => {
+        settings.profiler = e.target.checked;
+        notify();
+    });
+
+    // Why a gesture does / doesn't fire, on the camera preview
+    document.getElementById('diagnostics-toggle').addEventListener('change', (e) => {
+        settings.gestureDiagnostics = e.target.checked;
+        notify();
+    });
+
+    // Shape seed: same seed → same technique shapes
+    const seedInput = document.getElementById('seed-input');
+    seedInput.addEventListener('change', (e) => {
+        const seed = parseInt(e.target.value, 10);
+        if (Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff) {
+            settings.seed = seed;
+            notify();
+        }
+        seedInput.value = settings.seed;
+    });
+    document.getElementById('seed-roll').addEventListener('click', () => {
+        settings.seed   = Math.floor(Math.random() * 0xffffffff);
+        seedInput.value = settings.seed;
+        notify();
+    });
+
+    // Named presets: switch, save the current settings, delete, share as JSON
+    renderPresets();
+    const presetSelect = document.getElementById('preset-select');
+    presetSelect.addEventListener('change', (e) => {
+        const preset = presets.getPreset(e.target.value);
+        if (!preset) return;
+        Object.assign(settings, preset);
+        syncControls();
+        notify();
+    });
+    document.getElementById('preset-save').addEventListener('click', () => {
+        const nameInput = document.getElementById('preset-name');
+        try {
+            const name = presets.savePreset(nameInput.value, settings);
+            nameInput.value = '';
+            renderPresets(name);
+        } catch {
+            nameInput.placeholder = 'name?';
+        }
+    });
+    document.getElementById('preset-delete').addEventListener('click', () => {
+        presets.deletePreset(presetSelect.value);
+        renderPresets();
+    });
+    const presetFile = document.getElementById('preset-file');
+    document.getElementById('preset-export').addEventListener('click', () => presets.downloadPresets());
+    document.getElementById('preset-import').addEventListener('click', () => presetFile.click());
+    presetFile.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const names = presets.importPresets(JSON.parse(await file.text()));
+            renderPresets(names[0]);
+        } catch (err) {
+            console.error('[panel] Could not import presets:', err);
+        }
+    });
+
+    // Pose → technique bindings
+    renderBindings();
+    document.getElementById('bindings-reset').addEventListener('click', () => {
+        resetBindings();
+        renderBindings();
+    });
+
+    // Pose trainer: hold a pose, capture frames, label them
+    renderTrainer();
+    const captureBtn = document.getElementById('trainer-capture');
+    const statusEl   = document.getElementById('trainer-status');
+    captureBtn.addEventListener('click', () => {
+        if (trainer.isCapturing()) {
+            trainer.cancelCapture();
+            captureBtn.textContent = 'CAPTURE';
+            statusEl.textContent   = '';
+            return;
+        }
+        try {
+            trainer.startCapture(document.getElementById('trainer-name').value, {
+                onProgress: (done, total) => { statusEl.textContent = `${done}/${total}`; },
+                onDone: () => {
+                    captureBtn.textContent = 'CAPTURE';
+                    statusEl.textContent   = '✓';
+                    renderTrainer();
+                    renderBindings();
+                },
+            });
+            captureBtn.textContent = 'CANCEL';
+            statusEl.textContent   = 'hold pose…';
+        } catch {
+            statusEl.textContent = 'name?';
+        }
+    });
+    document.getElementById('trainer-clear').addEventListener('click', () => {
+        trainer.clearModel();
+        renderTrainer();
+        renderBindings();
+    });
+
+    // Gesture calibration profiles: pick / save / delete, tune, or fit to the user's hand
+    renderCalibration();
+    document.getElementById('calib-profile').addEventListener('change', (e) => {
+        calibration.selectProfile(e.target.value);
+        renderCalibration();
+    });
+    document.getElementById('calib-new').addEventListener('click', () => {
+        const nameInput = document.getElementById('calib-name');
+        try {
+            calibration.createProfile(nameInput.value);
+            nameInput.value = '';
+            renderCalibration();
+        } catch {
+            nameInput.placeholder = 'name?';
+        }
+    });
+    document.getElementById('calib-delete').addEventListener('click', () => {
+        calibration.deleteProfile(calibration.getActiveProfile());
+        renderCalibration();
+    });
+    document.getElementById('calib-reset').addEventListener('click', () => {
+        calibration.resetProfile();
+        renderCalibration();
+    });
+
+    const calibrateBtn = document.getElementById('calib-start');
+    const calibStatus  = document.getElementById('calib-status');
+    let   calibPrompt  = '';
+    calibrateBtn.addEventListener('click', () => {
+        if (calibration.isCalibrating()) {
+            calibration.cancelCalibration();
+            calibrateBtn.textContent = 'CALIBRATE';
+            calibStatus.textContent  = '';
+            return;
+        }
+        calibration.startCalibration({
+            onStep: (step, index) => {
+                calibPrompt = `${index + 1}/${calibration.CALIBRATION_STEPS.length} ${step.prompt}`;
+                calibStatus.textContent = `${calibPrompt}…`;
+            },
+            onProgress: (done, total) => { calibStatus.textContent = `${calibPrompt} ${done}/${total}`; },
+            onDone: () => {
+                calibrateBtn.textContent = 'CALIBRATE';
+                calibStatus.textContent  = '✓';
+                renderCalibration();
+            },
+        });
+        calibrateBtn.textContent = 'CANCEL';
+    });
+
+    // Hand-landmark session recording
+    const recordBtn = document.getElementById('record-btn');
+    recordBtn.addEventListener('click', () => {
+        if (handTracking.isRecording()) {
+            handTracking.downloadSession(handTracking.stopRecording());
+            recordBtn.textContent = '● REC';
+            recordBtn.classList.remove('active');
+        } else {
+            handTracking.startRecording();
+            recordBtn.textContent = '■ STOP';
+            recordBtn.classList.add('active');
+        }
+    });
+
+    // Video clips of the composited canvas
+    const clipBtn = document.getElementById('clip-btn');
+    clipBtn.addEventListener('click', () => {
+        if (clips.isClipRecording()) {
+            clips.stopClip();
+            clipBtn.textContent = '● CLIP';
+            clipBtn.classList.remove('active');
+        } else if (clips.startClip()) {
+            clipBtn.textContent = '■ STOP';
+            clipBtn.classList.add('active');
+        }
+    });
+    for (const [id, key] of [['clip-pip', 'clipPip'], ['clip-overlay', 'clipOverlay'], ['clip-auto', 'autoClip']]) {
+        document.getElementById(id).addEventListener('change', (e) => {
+            settings[key] = e.target.checked;
+            notify();
+        });
+    }
+
+    // Photo mode: frozen scene, orbit camera, hi-res PNG
+    const photoBtn      = document.getElementById('photo-btn');
+    const photoBloom    = document.getElementById('photo-bloom');
+    const photoExposure = document.getElementById('photo-exposure');
+    const photoSave     = document.getElementById('photo-save');
+    const photoStatus   = document.getElementById('photo-status');
+    photoBtn.addEventListener('click', () => {
+        if (photo.isActive()) {
+            photo.exit();
+        } else {
+            photo.enter();
+            photoBloom.value    = photo.getBloom().toFixed(1);
+            photoExposure.value = '1.0';
+            document.getElementById('photo-bloom-val').textContent    = photo.getBloom().toFixed(1);
+            document.getElementById('photo-exposure-val').textContent = '1.0×';
+        }
+        const active = photo.isActive();
+        photoBtn.textContent = active ? '✕ EXIT PHOTO' : '◉ PHOTO MODE';
+        photoBtn.classList.toggle('active', active);
+        for (const el of [photoBloom, photoExposure, photoSave]) el.disabled = !active;
+        photoStatus.textContent = '';
+    });
+    photoBloom.addEventListener('input', (e) => {
+        photo.setBloom(parseFloat(e.target.value));
+        document.getElementById('photo-bloom-val').textContent = parseFloat(e.target.value).toFixed(1);
+    });
+    photoExposure.addEventListener('input', (e) => {
+        photo.setExposure(parseFloat(e.target.value));
+        document.getElementById('photo-exposure-val').textContent = parseFloat(e.target.value).toFixed(1) + '×';
+    });
+    photoSave.addEventListener('click', async () => {
+        photoSave.disabled      = true;
+        photoStatus.textContent = 'saving…';
+        try {
+            const { width, height } = await photo.savePNG(parseInt(document.getElementById('photo-scale').value, 10));
+            photoStatus.textContent = `✓ ${width}×${height}`;
+        } catch (err) {
+            console.error('[panel] Could not save photo:', err);
+            photoStatus.textContent = 'save failed';
+        }
+        photoSave.disabled = !photo.isActive();
+    });
+
+    // Replay a saved session (toggles off a running replay)
+    const replayBtn  = document.getElementById('replay-btn');
+    const replayFile = document.getElementById('replay-file');
+    const resetReplayBtn = () => {
+        replayBtn.textContent = '▶ REPLAY';
+        replayBtn.classList.remove('active');
+    };
+    replayBtn.addEventListener('click', () => {
+        if (handTracking.isReplaying()) {
+            handTracking.stopReplay();
+            resetReplayBtn();
+        } else {
+            replayFile.click();
+        }
+    });
+    replayFile.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            handTracking.replaySession(JSON.parse(await file.text()), { onEnd: resetReplayBtn });
+            replayBtn.textContent = '■ STOP';
+            replayBtn.classList.add('active');
+        } catch (err) {
+            console.error('[panel] Could not replay session:', err);
+        }
+    });
+
+    syncControls();
+}
+
+/**
+ * Set every control (and value label) from `settings` — after loading saved
+ * values or switching presets.
+ */
+function syncControls() {
+    for (const [key, [inputId, labelId]] of Object.entries(CONTROL_IDS)) {
+        const input = document.getElementById(inputId);
+        if (input.type === 'checkbox') input.checked = settings[key];
+        else input.value = settings[key];
+        if (labelId) document.getElementById(labelId).textContent = FORMAT[key](settings[key]);
+    }
+    for (const input of document.querySelectorAll('.sound-channel')) {
+        input.checked = settings.soundChannels[input.dataset.technique];
+    }
+}
+
+/**
+ * Replace a <select>'s options. Values and labels are set as text, never
+ * parsed as HTML — they may be user-given names.
+ * @param {Array<{ value: string, label?: string, disabled?: boolean }>} options
+ */
+function setOptions(select, options) {
+    select.replaceChildren(...options.map(({ value, label = value, disabled = false }) => {
+        const option       = document.createElement('option');
+        option.value       = value;
+        option.textContent = label;
+        option.disabled    = disabled;
+        return option;
+    }));
+}
+
+/**
+ * (Re)build the preset list. Nothing is shown as selected unless `selected`
+ * is given: the current settings may have changed since any preset was loaded.
+ */
+function renderPresets(selected = '') {
+    const select = document.getElementById('preset-select');
+    setOptions(select, [{ value: '', label: '— preset —', disabled: true }]
+        .concat(presets.getPresetNames().map((name) => ({ value: name }))));
+    select.value = selected;
+}
+
+/**
+ * A `.control-group` row: a text label followed by `children`. Learned pose
+ * names end up in labels, so rows are built as elements rather than HTML.
+ */
+function controlRow(label, ...children) {
+    const row  = document.createElement('div');
+    const name = document.createElement('label');
+    row.className    = 'control-group';
+    name.textContent = label;
+    row.append(name, ...children);
+    return row;
+}
+
+/**
+ * (Re)build one technique <select> per pose (built-in + learned) from the current bindings.
+ */
+function renderBindings() {
+    const bindings = getBindings();
+    const poses    = Object.entries(POSES)
+        .concat(trainer.getLabels().map(({ label }) => [label, `✦ ${label}`]));
+    const options  = Object.entries(techniques).map(([key, tech]) => ({
+        value: key,
+        label: key === 'neutral' ? '— none —' : tech.config.displayName,
+    }));
+
+    document.getElementById('bindings-list').replaceChildren(...poses.map(([pose, label]) => {
+        const select = document.createElement('select');
+        setOptions(select, options);
+        select.value = bindings[pose] || 'neutral';
+        select.addEventListener('change', () => setBinding(pose, select.value));
+        return controlRow(label, select);
+    }));
+}
+
+/**
+ * (Re)build the list of learned poses with sample counts + delete buttons.
+ */
+function renderTrainer() {
+    document.getElementById('trainer-list').replaceChildren(...trainer.getLabels().map(({ label, count }) => {
+        const samples = document.createElement('span');
+        const forget  = document.createElement('button');
+        samples.textContent = count;
+        forget.textContent  = '×';
+        forget.title        = 'Forget pose';
+        forget.addEventListener('click', () => {
+            trainer.removeLabel(label);
+            renderTrainer();
+            renderBindings();
+        });
+        return controlRow(label, samples, forget);
+    }));
+}
+
+/**
+ * (Re)build the profile list and one slider per threshold of the active profile.
+ */
+function renderCalibration() {
+    const select = document.getElementById('calib-profile');
+    setOptions(select, calibration.getProfiles().map((name) => ({ value: name })));
+    select.value = calibration.getActiveProfile();
+
+    const values = calibration.getProfile();
+    const format = ({ key, unit }) => (unit ? `${values[key]}${unit}` : values[key].toFixed(2));
+
+    const list = document.getElementById('calib-thresholds');
+    list.innerHTML = THRESHOLD_CONTROLS.map((control) => `
+        <div class="control-group">
+            <label>${control.label}</label>
+            <span>${format(control)}</span>
+            <input type="range" data-key="${control.key}" min="${control.min}" max="${control.max}" step="${control.step}" value="${values[control.key]}">
+        </div>
+    `).join('');
+
+    for (const slider of list.querySelectorAll('input')) {
+        const control = THRESHOLD_CONTROLS.find((c) => c.key === slider.dataset.key);
+        slider.addEventListener('input', (e) => {
+            values[control.key] = parseFloat(e.target.value);
+            calibration.setThreshold(control.key, values[control.key]);
+            e.target.previousElementSibling.textContent = format(control);
+        });
+    }
+}
+
+/**
+ * Show whether the quality governor has stepped down, and how far.
+ * @param {ReturnType<typeof import('../core/governor.js').getStatus>} status
+ */
+function renderQualityStatus({ degraded, particles, pixelScale, bloomScale, fps, workTime }) {
+    const pct = (v) => `${Math.round(v * 100)}%`;
+    const el  = document.getElementById('quality-status');
+    el.textContent = degraded
+        ? `▼ Reduced (${fps} fps, ${workTime} ms work): ${pct(particles)} particles, ${pct(pixelScale)} resolution, ${pct(bloomScale)} bloom`
+        : 'Full quality';
+    el.classList.toggle('degraded', degraded);
 }
 
 function notify() {
+    presets.saveSettings(settings);
     if (changeCallback) changeCallback(settings);
 }
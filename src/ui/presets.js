@@ -0,0 +1,217 @@
+/**
+ * presets.js — Persistent panel settings and named presets.
+ *
+ * The panel's settings are saved to localStorage on every change and restored
+ * on startup. Presets are named snapshots of them that can be switched from
+ * the panel; the built-in ones only list what they change, the rest comes
+ * from the defaults. Presets can be exported to / imported from JSON files
+ * to share configurations.
+ *
+ * Saved and imported values are checked against the defaults: unknown keys
+ * and values of the wrong type are dropped, so old or hand-edited files load
+ * what they can. Preset names are normalised (see core/names.js); ones left
+ * empty or reserved are skipped. The seed is per session (see core/random.js)
+ * and never saved.
+ */
+
+import { downloadBlob } from '../core/download.js';
+import { cleanName } from '../core/names.js';
+
+const STORAGE_KEY   = 'sat0ru.settings';
+const STORE_VERSION = 1;
+const SESSION_ONLY  = ['seed'];
+
+/** Presets available on first run (they can be overwritten or deleted like any other). */
+export const BUILTIN_PRESETS = {
+    'Stream': {
+        activeParticles: 20000,
+        autoQuality:     true,
+        targetFps:       60,
+        shakeEnabled:    false,   // easier on viewers and on the encoder
+        grainEnabled:    false,   // grain compresses badly
+        chromaticAmount: 0.6,
+        clipOverlay:     true,
+    },
+    'Low-end laptop': {
+        activeParticles:  5000,
+        autoQuality:      true,
+        targetFps:        30,
+        bloomMultiplier:  0.8,
+        grainEnabled:     false,
+        chromaticEnabled: false,
+        gradeEnabled:     false,
+    },
+    'Max cinematic': {
+        activeParticles:    50000,
+        autoQuality:        false,
+        bloomMultiplier:    1.5,
+        techniqueIntensity: 1.5,
+        grainAmount:        0.12,
+        chromaticAmount:    1.5,
+        vignetteAmount:     0.5,
+        gradeEnabled:       true,
+    },
+};
+
+let defaults = {};
+let store    = { current: {}, presets: Object.create(null) };   // presets: name → values (no prototype)
+
+function clone(values) {
+    return JSON.parse(JSON.stringify(values));
+}
+
+/**
+ * The entries of `values` that match a default's type (nested objects one level deep).
+ */
+function sanitize(values) {
+    const clean = {};
+    if (!values || typeof values !== 'object') return clean;
+    for (const [key, fallback] of Object.entries(defaults)) {
+        if (SESSION_ONLY.includes(key) || !(key in values)) continue;
+        const value = values[key];
+        if (fallback && typeof fallback === 'object') {
+            if (!value || typeof value !== 'object') continue;
+            clean[key] = {};
+            for (const [sub, subFallback] of Object.entries(fallback)) {
+                if (typeof value[sub] === typeof subFallback) clean[key][sub] = value[sub];
+            }
+        } else if (typeof value === typeof fallback && (typeof value !== 'number' || Number.isFinite(value))) {
+            clean[key] = value;
+        }
+    }
+    return clean;
+}
+
+/**
+ * Complete settings: the defaults with `values` on top (session-only keys left out).
+ */
+function resolve(values) {
+    const full  = clone(defaults);
+    const clean = sanitize(values);
+    for (const key of SESSION_ONLY) delete full[key];
+    for (const [key, value] of Object.entries(clean)) {
+        full[key] = value && typeof value === 'object' ? { ...full[key], ...value } : value;
+    }
+    return full;
+}
+
+// ── Persistence ──
+
+// Presets by name, on an object without a prototype: names are user input
+function createPresets(entries) {
+    const presets = Object.create(null);
+    for (const [name, values] of entries) {
+        const clean = cleanName(name);
+        if (clean) presets[clean] = values;
+    }
+    return presets;
+}
+
+function readStore() {
+    const fallback = { current: {}, presets: createPresets(Object.entries(clone(BUILTIN_PRESETS))) };
+    if (typeof localStorage === 'undefined') return fallback;
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return saved && saved.version === STORE_VERSION
+            ? { current: saved.current || {}, presets: createPresets(Object.entries(saved.presets || {})) }
+            : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function writeStore() {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORE_VERSION, ...store }));
+}
+
+// ── Public API ──
+
+/**
+ * Read the saved settings. Call once, before building the panel.
+ * @param {object} initial — the default settings (defines the keys and types)
+ * @returns {object} saved values over the defaults (session-only keys left out)
+ */
+function loadSettings(initial) {
+    defaults = clone(initial);
+    store    = readStore();
+    return resolve(store.current);
+}
+
+/**
+ * Save the current settings (called on every change).
+ */
+function saveSettings(settings) {
+    store.current = sanitize(settings);
+    writeStore();
+}
+
+function getPresetNames() {
+    return Object.keys(store.presets);
+}
+
+/**
+ * Complete settings of a preset, or null if there is none by that name.
+ */
+function getPreset(name) {
+    return store.presets[name] ? resolve(store.presets[name]) : null;
+}
+
+/**
+ * Save (or overwrite) a preset from the given settings.
+ * @returns {string} the (normalised) name it was saved under
+ */
+function savePreset(name, settings) {
+    const clean = cleanName(name);
+    if (!clean) throw new Error('[presets] Preset name is empty or not allowed');
+    store.presets[clean] = sanitize(settings);
+    writeStore();
+    return clean;
+}
+
+function deletePreset(name) {
+    delete store.presets[name];
+    writeStore();
+}
+
+/**
+ * All presets as a plain, JSON-serializable object.
+ */
+function exportPresets() {
+    return { version: STORE_VERSION, presets: clone(store.presets) };
+}
+
+/**
+ * Add the presets of an exported file (same names are overwritten; unusable
+ * names are skipped).
+ * @param {object} data — object produced by exportPresets()
+ * @returns {string[]} imported preset names, as normalised
+ */
+function importPresets(data) {
+    if (!data || data.version !== STORE_VERSION || !data.presets || typeof data.presets !== 'object') {
+        throw new Error('[presets] Unsupported presets file');
+    }
+    const names = [];
+    for (const [name, values] of Object.entries(data.presets)) {
+        const clean = cleanName(name);
+        if (!clean) continue;
+        store.presets[clean] = sanitize(values);
+        names.push(clean);
+    }
+    writeStore();
+    return names;
+}
+
+/**
+ * Save all presets as a .json download.
+ */
+function downloadPresets(filename = `sat0ru-presets-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(exportPresets(), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, filename);
+}
+
+export {
+    loadSettings, saveSettings,
+    getPresetNames, getPreset, savePreset, deletePreset,
+    exportPresets, importPresets, downloadPresets,
+};
@@ -0,0 +1,99 @@
+/**
+ * profilerhud.js — Frame profiler overlay (top left).
+ * A stacked graph of the last few seconds split by frame stage, per-stage
+ * averages, hand-tracking latency / rate and what each slot is running.
+ * Data comes from core/profiler.js; the HUD shows while the profiler is enabled.
+ */
+
+import * as profiler from '../core/profiler.js';
+
+const WIDTH     = 300;
+const HEIGHT    = 192;
+const GRAPH_TOP = 86;
+const GRAPH_MS  = 50;   // frame time at the top of the graph
+const LINE      = 12;
+
+const COLORS = {
+    'techniques':       '#77ee77',
+    'setTargets':       '#ff5577',
+    'particles.update': '#ffaa33',
+    'renderer.update':  '#55ddff',
+    'composer.render':  '#aa77ff',
+};
+const REST_COLOR = 'rgba(255,255,255,0.2)';   // the rest of the frame (browser, GPU wait, idle)
+
+const canvas = document.getElementById('profiler-hud');
+canvas.width  = WIDTH;
+canvas.height = HEIGHT;
+const ctx = canvas.getContext('2d');
+
+function average(frames, pick) {
+    return frames.length ? frames.reduce((sum, f) => sum + pick(f), 0) / frames.length : 0;
+}
+
+function graphY(ms) {
+    return HEIGHT - Math.min(ms / GRAPH_MS, 1) * (HEIGHT - GRAPH_TOP);
+}
+
+function drawGraph(frames, targetFps) {
+    const now = performance.now();
+    for (const frame of frames) {
+        const x = WIDTH - ((now - frame.t) / profiler.HISTORY_MS) * WIDTH;
+        let stacked = 0;   // ms drawn so far in this column
+        for (const name of profiler.SECTIONS) {
+            const base = graphY(stacked);
+            stacked += frame.sections[name];
+            ctx.fillStyle = COLORS[name];
+            ctx.fillRect(x, graphY(stacked), 2, base - graphY(stacked));
+        }
+        ctx.fillStyle = REST_COLOR;
+        ctx.fillRect(x, graphY(frame.total), 2, graphY(stacked) - graphY(frame.total));
+    }
+
+    // Frame budget of the target frame rate
+    const budget = graphY(1000 / targetFps);
+    ctx.strokeStyle = 'rgba(0,255,255,0.6)';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(0, budget);
+    ctx.lineTo(WIDTH, budget);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * Redraw (call every frame; hides itself while the profiler is off).
+ * @param {{ targetFps: number }} options — draws the frame budget line
+ */
+export function updateProfilerHud({ targetFps }) {
+    const visible = profiler.isEnabled();
+    canvas.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    const frames = profiler.getFrames();
+    const total  = average(frames, (f) => f.total);
+    const { latency, rate } = profiler.getTracking();
+
+    ctx.clearRect(0, 0, WIDTH, HEIGHT);
+    ctx.fillStyle = 'rgba(0,0,0,0.75)';
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    ctx.font = '10px "Courier New", monospace';
+    ctx.textBaseline = 'top';
+
+    ctx.fillStyle = '#fff';
+    ctx.fillText(`${total > 0 ? Math.round(1000 / total) : '—'} fps   ${total.toFixed(1)} ms/frame`, 6, 4);
+
+    profiler.SECTIONS.forEach((name, k) => {
+        const x = 6 + (k % 2) * 148;
+        const y = 4 + LINE * (1 + Math.floor(k / 2));
+        ctx.fillStyle = COLORS[name];
+        ctx.fillText(`■ ${name} ${average(frames, (f) => f.sections[name]).toFixed(2)}`, x, y);
+    });
+
+    const rows = 1 + Math.ceil(profiler.SECTIONS.length / 2);
+    ctx.fillStyle = '#ccc';
+    ctx.fillText(`hands: ${latency.toFixed(1)} ms inference, ${rate} results/s`, 6, 4 + LINE * rows);
+    ctx.fillText(profiler.getPhase(), 6, 4 + LINE * (rows + 1));
+
+    drawGraph(frames, targetFps);
+}
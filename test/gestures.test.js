@@ -0,0 +1,199 @@
+/**
+ * gestures.test.js — Pose classification and detector timing (node --test).
+ *
+ * Landmarks are synthetic: an upright hand whose fingers are up or down by
+ * tip-above-PIP, so each fixture maps to exactly one pose. Detectors run on an
+ * injected clock.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_THRESHOLDS, classify, detectCircle, createGestureDetector, detectSession,
+} from '../src/hand/gestures.js';
+
+// ── Fixtures ──
+
+/**
+ * 21 landmarks of an upright hand centred on x = `ox` (hand scale 0.2).
+ * @param {{ index?: boolean, middle?: boolean, ring?: boolean, pinky?: boolean, pinch?: boolean }} fingers
+ */
+function hand({ index = false, middle = false, ring = false, pinky = false, pinch = false } = {}, ox = 0.5) {
+    const lm = Array.from({ length: 21 }, () => ({ x: ox, y: 0.5, z: 0 }));
+    lm[0] = { x: ox, y: 0.8, z: 0 };   // wrist
+    lm[9] = { x: ox, y: 0.6, z: 0 };   // middle MCP
+
+    const finger = (tip, pip, up, x) => {
+        lm[pip] = { x, y: 0.5, z: 0 };
+        lm[tip] = { x, y: up ? 0.3 : 0.6, z: 0 };
+    };
+    finger(8,  6,  index,  ox - 0.03);
+    finger(12, 10, middle, ox);
+    finger(16, 14, ring,   ox + 0.03);
+    finger(20, 18, pinky,  ox + 0.06);
+
+    lm[4] = pinch ? { ...lm[8] } : { x: ox - 0.2, y: 0.6, z: 0 };   // thumb tip
+    return lm;
+}
+
+/**
+ * Two fists whose index and thumb tips face each other `gap` apart (a ring).
+ */
+function framePair({ indexGap = 0.2, thumbGap = 0.2 } = {}) {
+    const a = hand({}, 0.4);
+    const b = hand({}, 0.6);
+    a[8] = { x: 0.5 - indexGap / 2, y: 0.4, z: 0 };
+    b[8] = { x: 0.5 + indexGap / 2, y: 0.4, z: 0 };
+    a[4] = { x: 0.5 - thumbGap / 2, y: 0.6, z: 0 };
+    b[4] = { x: 0.5 + thumbGap / 2, y: 0.6, z: 0 };
+    return [a, b];
+}
+
+const INDEX  = [hand({ index: true })];
+const MIDDLE = [hand({ middle: true })];
+const OPEN   = [hand({ index: true, middle: true, ring: true, pinky: true })];
+
+/**
+ * A detector on a settable clock; `at(t, frame)` runs one frame at time t.
+ */
+function detectorAt() {
+    let t = 0;
+    const detector = createGestureDetector({ now: () => t });
+    detector.at = (time, frame) => {
+        t = time;
+        return detector.detectGesture(frame);
+    };
+    return detector;
+}
+
+const { debounce, cooldown, twoHandHold } = DEFAULT_THRESHOLDS;
+
+// ── classify ──
+
+test('classify maps finger states to poses', () => {
+    assert.equal(classify(hand({ index: true })),                             'index_only');
+    assert.equal(classify(hand({ middle: true })),                            'middle_only');
+    assert.equal(classify(hand({ pinky: true })),                             'pinky_only');
+    assert.equal(classify(hand({ index: true, pinky: true })),                'index_pinky');
+    assert.equal(classify(hand({ index: true, middle: true })),               'index_middle');
+    assert.equal(classify(hand({ index: true, middle: true, ring: true, pinky: true })), 'open_hand');
+});
+
+test('classify needs a pinch for the OK sign', () => {
+    const fingers = { index: true, middle: true, ring: true, pinky: true };
+    assert.equal(classify(hand({ ...fingers, pinch: true })), 'ok_sign');
+    assert.equal(classify(hand({ middle: true, ring: true, pinky: true, pinch: true })), 'ok_sign');
+    assert.equal(classify(hand({ middle: true, ring: true, pinky: true })), 'none');
+});
+
+test('classify returns none for a fist or a hand too small to judge', () => {
+    assert.equal(classify(hand()), 'none');
+    const tiny = hand({ index: true });
+    tiny[0] = { ...tiny[9] };
+    assert.equal(classify(tiny), 'none');
+});
+
+// ── detectCircle ──
+
+test('detectCircle accepts a symmetric ring of the right size', () => {
+    assert.equal(detectCircle(...framePair()), true);
+});
+
+test('detectCircle rejects lopsided or oversized rings', () => {
+    assert.equal(detectCircle(...framePair({ thumbGap: 0.1 })), false);
+    assert.equal(detectCircle(...framePair({ indexGap: 0.8, thumbGap: 0.8 })), false);
+    assert.equal(detectCircle(...framePair({ indexGap: 0.05, thumbGap: 0.05 })), false);
+});
+
+// ── Detector timing ──
+
+test('a new gesture is confirmed only after the debounce', () => {
+    const detector = detectorAt();
+    assert.equal(detector.at(0, INDEX), 'neutral');
+    assert.equal(detector.at(debounce - 1, INDEX), 'neutral');
+    assert.equal(detector.at(debounce, INDEX), 'red');
+});
+
+test('a flicker restarts the debounce', () => {
+    const detector = detectorAt();
+    detector.at(0, INDEX);
+    detector.at(100, []);
+    assert.equal(detector.at(100 + debounce - 1, INDEX), 'neutral');
+    assert.equal(detector.at(100 + 2 * debounce, INDEX), 'red');
+});
+
+test('changes within the cooldown after a switch are ignored', () => {
+    const detector = detectorAt();
+    detector.at(0, INDEX);
+    detector.at(debounce, INDEX);                  // switch to red
+
+    const end = debounce + cooldown;
+    assert.equal(detector.at(debounce + 50, OPEN), 'red');
+    assert.equal(detector.at(end - 1, OPEN), 'red');
+    assert.equal(detector.getState().candidate, 'red');
+
+    assert.equal(detector.at(end, OPEN), 'red');   // cooldown over — debounce starts
+    assert.equal(detector.at(end + debounce, OPEN), 'shrine');
+});
+
+test('releasing Black Flash bypasses the cooldown', () => {
+    const detector = detectorAt();
+    detector.at(0, MIDDLE);
+    assert.equal(detector.at(debounce, MIDDLE), 'blackflash');
+
+    const release = debounce + 10;
+    assert.equal(detector.at(release, []), 'blackflash');
+    assert.equal(detector.at(release + debounce, []), 'neutral');
+    assert.ok(release + debounce < debounce + cooldown);
+});
+
+test('other releases still wait for the cooldown', () => {
+    const detector = detectorAt();
+    detector.at(0, INDEX);
+    detector.at(debounce, INDEX);
+
+    const release = debounce + 10;
+    detector.at(release, []);
+    assert.equal(detector.at(release + debounce, []), 'red');
+});
+
+test('a confirmed two-hand frame holds briefly when one hand drops out', () => {
+    const detector = detectorAt();
+    const ring = framePair();
+    detector.at(0, ring);
+    assert.equal(detector.at(debounce, ring), 'simpledomain');
+
+    assert.equal(detector.classifyBest(INDEX, debounce + twoHandHold - 1), 'two_hand_frame');
+    assert.equal(detector.classifyBest(INDEX, debounce + twoHandHold), 'index_only');
+});
+
+test('the two-hand hold does not apply before the frame is confirmed', () => {
+    const detector = detectorAt();
+    const ring = framePair();
+    detector.at(0, ring);
+    assert.equal(detector.classifyBest(INDEX, 10), 'index_only');
+});
+
+test('a detector confirms whatever its resolve maps a pose to', () => {
+    let t = 0;
+    const detector = createGestureDetector({
+        now:     () => t,
+        resolve: (pose) => (pose === 'index_only' ? 'shrine' : 'neutral'),
+    });
+    detector.detectGesture(INDEX);
+    t = debounce;
+    assert.equal(detector.detectGesture(INDEX), 'shrine');
+});
+
+// ── detectSession ──
+
+test('detectSession replays recorded frames on their own timestamps', () => {
+    const frames = [0, 50, 100, 150, 200, 700, 750, 850].map((t) => ({
+        t, multiHandLandmarks: t < 700 ? INDEX : [],
+    }));
+    assert.deepEqual(detectSession(frames), [
+        { t: 150, gesture: 'red' },
+        { t: 850, gesture: 'neutral' },
+    ]);
+});